@@ -1,6 +1,17 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Page, Card, Text, DataTable, Spinner, Banner, Badge, EmptyState } from '@shopify/polaris';
+import { Page, Card, Text, DataTable, Spinner, Banner, Badge, EmptyState, ProgressBar } from '@shopify/polaris';
 import { useApi } from '../contexts/ApiContext';
+import { SyncJob } from '../services/api';
+
+// A queued or running sync job is polled every 2s at first, backing off to every 10s
+// (polls count against the API rate limit, and long syncs can run for minutes)
+const SYNC_POLL_INITIAL_MS = 2000;
+const SYNC_POLL_MAX_MS = 10000;
+const SYNC_POLL_BACKOFF = 1.5;
+
+const DEMO_SHOP = 'pack-peddlers-demo.myshopify.com';
+
+const isActiveJob = (job: SyncJob | null) => job !== null && (job.status === 'QUEUED' || job.status === 'RUNNING');
 
 interface Product {
   id: number;
@@ -11,9 +22,8 @@ interface Product {
   productType: string | null;
   price: number;
   compareAtPrice: number | null;
-  inventory: number;
-  available: boolean;
-  isActive: boolean;
+  status: string;
+  inventoryQuantity: number;
   imageUrl: string | null;
   tags: string[];
   lastSynced: string;
@@ -27,6 +37,7 @@ export default function Inventory() {
   const [loading, setLoading] = useState(false);
   const [syncing, setSyncing] = useState(false);
   const [liveSyncing, setLiveSyncing] = useState(false);
+  const [syncJob, setSyncJob] = useState<SyncJob | null>(null);
   const [message, setMessage] = useState<{ type: 'success' | 'error'; content: string } | null>(null);
   const [currentShop, setCurrentShop] = useState<string>('');
 
@@ -37,7 +48,7 @@ export default function Inventory() {
         setCurrentShop(shop);
       } catch (error) {
         console.error('Error getting current shop:', error);
-        setCurrentShop('pack-peddlers-demo.myshopify.com');
+        setCurrentShop(DEMO_SHOP);
       }
     };
     updateShop();
@@ -48,19 +59,7 @@ export default function Inventory() {
     setMessage(null);
     
     try {
-      const apiBaseUrl = window.location.origin;
-      const response = await fetch(`${apiBaseUrl}/api/inventory/sync-demo`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await api.syncDemoProducts();
       setMessage({
         type: 'success',
         content: `Successfully synced ${data.totalProducts} products! (${data.created} created, ${data.updated} updated)`
@@ -79,20 +78,21 @@ export default function Inventory() {
     }
   };
 
-  const handleLiveSync = async () => {
+  const handleLiveSync = async (full = false) => {
     setLiveSyncing(true);
     setMessage(null);
     
     try {
-      const result = await api.syncFromLiveStore();
-      setMessage({
-        type: 'success',
-        content: `Successfully synced ${result.syncedCount} products from your live Shopify store!`
-      });
-      
-      // Refresh the products list
-      await loadProducts();
-    } catch (error) {
+      const result = await api.syncFromLiveStore(full);
+      setSyncJob(result.job);
+    } catch (error: any) {
+      // A full resync cannot start while a changed-products sync is running: follow that one instead
+      if (error.response?.status === 409 && error.response.data?.job) {
+        setSyncJob(error.response.data.job);
+        setMessage({ type: 'error', content: error.response.data.error });
+        return;
+      }
+
       console.error('Live sync error:', error);
       setMessage({
         type: 'error',
@@ -107,16 +107,9 @@ export default function Inventory() {
     setLoading(true);
     try {
       const currentShopDomain = await api.getCurrentShop();
-      const apiBaseUrl = window.location.origin;
-      const response = await fetch(`${apiBaseUrl}/api/inventory/products?shop=${currentShopDomain}&limit=50`);
-      
       console.log('📦 Loading products for shop:', currentShopDomain);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
 
-      const data = await response.json();
+      const data = await api.getProducts({ limit: 50 });
       setProducts(data.products || []);
     } catch (error) {
       console.error('Load products error:', error);
@@ -133,15 +126,74 @@ export default function Inventory() {
     loadProducts();
   }, [loadProducts]); 
 
+  // Pick up a sync that is already running (e.g. the initial sync after install)
+  useEffect(() => {
+    api.getSyncJobs(1)
+      .then((jobs) => {
+        if (jobs.length > 0 && isActiveJob(jobs[0])) setSyncJob(jobs[0]);
+      })
+      .catch((error) => console.error('Error loading sync jobs:', error));
+  }, [api]);
+
+  // Poll the active sync job until it finishes, then refresh the products
+  // A failed poll is retried on the same schedule, so a blip does not freeze the progress bar
+  const activeJobId = syncJob && isActiveJob(syncJob) ? syncJob.id : null;
+
+  useEffect(() => {
+    if (activeJobId === null) return;
+
+    let delay = SYNC_POLL_INITIAL_MS;
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const poll = async () => {
+      try {
+        const job = await api.getSyncJob(activeJobId);
+        if (cancelled) return;
+        setSyncJob(job);
+
+        if (job.status === 'SUCCEEDED') {
+          setMessage({
+            type: 'success',
+            content: `Synced ${job.syncedCount} products and removed ${job.deletedCount} deleted ones from your live Shopify store${job.errorCount > 0 ? ` (${job.errorCount} failed)` : ''}!`
+          });
+          await loadProducts();
+          return;
+        }
+
+        if (job.status === 'FAILED') {
+          setMessage({ type: 'error', content: `Sync failed: ${job.error || 'unknown error'}` });
+          return;
+        }
+      } catch (error) {
+        console.error('Error polling sync job:', error);
+      }
+
+      if (cancelled) return;
+      delay = Math.min(delay * SYNC_POLL_BACKOFF, SYNC_POLL_MAX_MS);
+      timer = setTimeout(poll, delay);
+    };
+
+    timer = setTimeout(poll, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [api, activeJobId, loadProducts]);
+
+  const jobActive = isActiveJob(syncJob);
+  const isDemoShop = currentShop === DEMO_SHOP;
+
   const tableRows = products.map((product) => [
     product.title,
     product.vendor || '—',
     product.productType || '—',
     `$${product.price.toFixed(2)}`,
     product.compareAtPrice ? `$${product.compareAtPrice.toFixed(2)}` : '—',
-    product.inventory.toString(),
-    <Badge tone={product.isActive ? 'success' : 'critical'} key={product.id}>
-      {product.isActive ? 'active' : 'inactive'}
+    product.inventoryQuantity.toString(),
+    <Badge tone={product.status === 'active' ? 'success' : 'critical'} key={product.id}>
+      {product.status}
     </Badge>,
     product.tags.slice(0, 3).join(', ') + (product.tags.length > 3 ? '...' : '')
   ]);
@@ -150,18 +202,24 @@ export default function Inventory() {
     <Page 
       title={`Inventory Management - ${currentShop}`}
       subtitle={`Connected to: ${currentShop}`}
-      primaryAction={{
+      // Only the demo shop can load the demo catalog
+      primaryAction={isDemoShop ? {
         content: syncing ? 'Syncing Demo...' : 'Sync Demo Data',
         onAction: handleSync,
         loading: syncing,
         disabled: syncing || liveSyncing
-      }}
+      } : undefined}
       secondaryActions={[
         {
-          content: liveSyncing ? 'Syncing Live...' : 'Sync from Live Store',
-          onAction: handleLiveSync,
-          loading: liveSyncing,
-          disabled: syncing || liveSyncing
+          content: liveSyncing || jobActive ? 'Syncing Live...' : 'Sync from Live Store',
+          onAction: () => handleLiveSync(),
+          loading: liveSyncing || jobActive,
+          disabled: syncing || liveSyncing || jobActive
+        },
+        {
+          content: 'Full Resync',
+          onAction: () => handleLiveSync(true),
+          disabled: syncing || liveSyncing || jobActive
         }
       ]}
     >
@@ -174,6 +232,22 @@ export default function Inventory() {
         </Banner>
       )}
 
+      {syncJob && jobActive && (
+        <Card>
+          <Text variant="headingMd" as="h3">
+            {syncJob.status === 'QUEUED' ? 'Sync queued' : `Syncing ${syncJob.full ? 'all' : 'changed'} products`}
+          </Text>
+          <div style={{ margin: '0.5rem 0' }}>
+            <ProgressBar progress={syncJob.progress * 100} size="small" />
+          </div>
+          <Text variant="bodySm" as="p" tone="subdued">
+            {syncJob.totalCount !== null
+              ? `${syncJob.processedCount} of ${syncJob.totalCount} products processed`
+              : 'Fetching products from Shopify...'}
+          </Text>
+        </Card>
+      )}
+
       <Card>
         {loading ? (
           <div style={{ padding: '2rem', textAlign: 'center' }}>
@@ -185,7 +259,7 @@ export default function Inventory() {
             heading="No products found"
             action={{
               content: 'Sync from Shopify',
-              onAction: handleSync,
+              onAction: isDemoShop ? handleSync : () => handleLiveSync(),
             }}
             image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
           >
@@ -229,11 +303,11 @@ export default function Inventory() {
               </div>
               <div>
                 <Text variant="bodyMd" as="p" tone="subdued">Active Products</Text>
-                <Text variant="headingLg" as="p">{products.filter(p => p.isActive).length}</Text>
+                <Text variant="headingLg" as="p">{products.filter(p => p.status === 'active').length}</Text>
               </div>
               <div>
                 <Text variant="bodyMd" as="p" tone="subdued">Total Inventory</Text>
-                <Text variant="headingLg" as="p">{products.reduce((sum, p) => sum + p.inventory, 0)}</Text>
+                <Text variant="headingLg" as="p">{products.reduce((sum, p) => sum + p.inventoryQuantity, 0)}</Text>
               </div>
               <div>
                 <Text variant="bodyMd" as="p" tone="subdued">Avg Price</Text>
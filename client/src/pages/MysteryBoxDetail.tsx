@@ -1,19 +1,262 @@
-import React from 'react';
-import { Page, Card, Text } from '@shopify/polaris';
-import { useParams } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Page, Layout, Card, Text, TextField, Button, DataTable, Banner, Spinner, ProgressBar } from '@shopify/polaris';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useApi } from '../contexts/ApiContext';
+import { MysteryBox, MysteryBoxSimulation } from '../services/api';
 
 export default function MysteryBoxDetail() {
   const { id } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const api = useApi();
+  const [mysteryBox, setMysteryBox] = useState<MysteryBox | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [iterations, setIterations] = useState('200');
+  const [simulating, setSimulating] = useState(false);
+  const [simulation, setSimulation] = useState<MysteryBoxSimulation | null>(null);
+  const [simulationError, setSimulationError] = useState<string | null>(null);
+
+  const fetchMysteryBox = useCallback(async () => {
+    if (!id) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const box = await api.getMysteryBox(id);
+      setMysteryBox(box);
+    } catch (err) {
+      console.error('Error fetching mystery box:', err);
+      setError('Failed to load mystery box');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, id]);
+
+  useEffect(() => {
+    fetchMysteryBox();
+  }, [fetchMysteryBox]);
+
+  const runSimulation = async () => {
+    if (!id) return;
+    try {
+      setSimulating(true);
+      setSimulationError(null);
+      const result = await api.simulateMysteryBox(id, parseInt(iterations) || 200);
+      setSimulation(result);
+    } catch (err: any) {
+      console.error('Error simulating mystery box:', err);
+      setSimulationError(err.response?.data?.error || 'Failed to run simulation');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const formatCurrency = (amount: number) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+    }).format(amount);
+  };
+
+  const formatPercent = (rate: number) => `${(rate * 100).toFixed(1)}%`;
+
+  if (loading) {
+    return (
+      <Page title="Mystery Box">
+        <Card>
+          <div style={{ padding: '2rem', textAlign: 'center' }}>
+            <Spinner size="large" />
+            <Text variant="bodyMd" as="p">Loading mystery box...</Text>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  if (error || !mysteryBox) {
+    return (
+      <Page title="Mystery Box">
+        <Card>
+          <div style={{ padding: '2rem', textAlign: 'center' }}>
+            <Text variant="headingMd" as="h3">Error</Text>
+            <Text variant="bodyMd" as="p">{error || 'Mystery box not found'}</Text>
+            <Button onClick={fetchMysteryBox}>Try Again</Button>
+          </div>
+        </Card>
+      </Page>
+    );
+  }
+
+  // Largest histogram bucket sets the full-width bar
+  const maxBucket = simulation ? Math.max(1, ...simulation.valueHistogram.map((bucket) => bucket.count)) : 1;
 
   return (
-    <Page title={`Mystery Box ${id}`}>
-      <Card>
-        <div style={{ padding: '2rem', textAlign: 'center' }}>
-          <Text variant="headingMd" as="h3">Mystery Box Details</Text>
-          <p>Box ID: {id}</p>
-          <p>Detailed view and management features coming soon!</p>
-        </div>
-      </Card>
+    <Page
+      title={mysteryBox.name}
+      subtitle={mysteryBox.description || undefined}
+      backAction={{ content: 'Mystery Boxes', onAction: () => navigate('/mystery-boxes') }}
+      secondaryActions={[
+        { content: 'Edit', onAction: () => navigate(`/mystery-boxes/${mysteryBox.id}/edit`) }
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Text variant="headingMd" as="h3">Configuration</Text>
+            <Text variant="bodyMd" as="p">
+              Value range: {formatCurrency(mysteryBox.minValue)} - {formatCurrency(mysteryBox.maxValue)}
+            </Text>
+            <Text variant="bodyMd" as="p">
+              Items per box: {mysteryBox.minItems} - {mysteryBox.maxItems}
+            </Text>
+            {mysteryBox.price !== null && mysteryBox.price !== undefined && (
+              <Text variant="bodyMd" as="p">Sale price: {formatCurrency(mysteryBox.price)}</Text>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <Text variant="headingMd" as="h3">Simulate outcomes</Text>
+            <Text variant="bodyMd" as="p" tone="subdued">
+              Runs the selection many times against the current inventory without saving anything.
+            </Text>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', marginTop: '1rem' }}>
+              <div style={{ width: '160px' }}>
+                <TextField
+                  label="Iterations"
+                  type="number"
+                  value={iterations}
+                  onChange={setIterations}
+                  min={1}
+                  max={1000}
+                  autoComplete="off"
+                />
+              </div>
+              <Button variant="primary" onClick={runSimulation} loading={simulating}>
+                Run simulation
+              </Button>
+            </div>
+          </Card>
+        </Layout.Section>
+
+        {simulationError && (
+          <Layout.Section>
+            <Banner tone="critical" onDismiss={() => setSimulationError(null)}>
+              {simulationError}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {simulation && (
+          <>
+            <Layout.Section>
+              <Card>
+                <Text variant="headingMd" as="h3">Summary</Text>
+                <DataTable
+                  columnContentTypes={['text', 'numeric']}
+                  headings={['Metric', 'Value']}
+                  rows={[
+                    [
+                      'Simulated boxes',
+                      `${simulation.iterations}${simulation.truncated ? ` of ${simulation.requestedIterations} (time limit reached)` : ''} (pool of ${simulation.poolSize} products)`
+                    ],
+                    ['Failure rate', formatPercent(simulation.failureRate)],
+                    ['Average value', formatCurrency(simulation.averageValue)],
+                    ['Average cost', simulation.averageCost !== null ? formatCurrency(simulation.averageCost) : 'Unknown'],
+                    ['Average items', simulation.averageItems.toFixed(2)],
+                    [
+                      'Boxes until first stockout',
+                      simulation.inventoryDrawdown.boxesUntilFirstStockout !== null
+                        ? simulation.inventoryDrawdown.boxesUntilFirstStockout.toString()
+                        : '—'
+                    ]
+                  ]}
+                />
+                {Object.keys(simulation.failureReasons).length > 0 && (
+                  <Banner tone="warning">
+                    {Object.entries(simulation.failureReasons)
+                      .map(([reason, count]) => `${reason}: ${count}`)
+                      .join(', ')}
+                  </Banner>
+                )}
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Text variant="headingMd" as="h3">Total value</Text>
+                {simulation.valueHistogram.map((bucket) => (
+                  <div key={bucket.from} style={{ display: 'flex', gap: '8px', alignItems: 'center', margin: '4px 0' }}>
+                    <div style={{ width: '140px' }}>
+                      <Text variant="bodySm" as="span">
+                        {formatCurrency(bucket.from)} - {formatCurrency(bucket.to)}
+                      </Text>
+                    </div>
+                    <div style={{ flex: 1 }}>
+                      <ProgressBar progress={(bucket.count / maxBucket) * 100} size="small" />
+                    </div>
+                    <div style={{ width: '48px', textAlign: 'right' }}>
+                      <Text variant="bodySm" as="span">{bucket.count}</Text>
+                    </div>
+                  </div>
+                ))}
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <Text variant="headingMd" as="h3">Item count</Text>
+                <DataTable
+                  columnContentTypes={['numeric', 'numeric', 'numeric']}
+                  headings={['Items', 'Boxes', 'Share']}
+                  rows={simulation.itemCountHistogram.map((entry) => [
+                    entry.items,
+                    entry.count,
+                    formatPercent(entry.count / Math.max(1, simulation.successes))
+                  ])}
+                />
+              </Card>
+            </Layout.Section>
+
+            {simulation.tierFrequency && (
+              <Layout.Section>
+                <Card>
+                  <Text variant="headingMd" as="h3">Tiers</Text>
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'numeric']}
+                    headings={['Tier', 'Simulated per box', 'Expected per box']}
+                    rows={simulation.tierFrequency.map((tier) => [
+                      tier.name,
+                      tier.averagePerBox.toFixed(3),
+                      tier.expectedPerBox.toFixed(3)
+                    ])}
+                  />
+                </Card>
+              </Layout.Section>
+            )}
+
+            <Layout.Section>
+              <Card>
+                <Text variant="headingMd" as="h3">Product inclusion</Text>
+                <DataTable
+                  columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric']}
+                  headings={['Product', 'Price', 'Included in', 'In stock', 'Boxes until sold out']}
+                  rows={simulation.productFrequency.slice(0, 25).map((product) => [
+                    [
+                      product.variantTitle ? `${product.title} - ${product.variantTitle}` : product.title,
+                      product.tier ? ` (${product.tier})` : ''
+                    ].join(''),
+                    formatCurrency(product.price),
+                    formatPercent(product.inclusionRate),
+                    product.availableQuantity,
+                    product.boxesUntilStockout
+                  ])}
+                />
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
     </Page>
   );
-}
\ No newline at end of file
+}
@@ -11,6 +11,7 @@ export default function MysteryBoxList() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [generating, setGenerating] = useState<string | null>(null);
+  const [publishing, setPublishing] = useState<string | null>(null);
   const [toastMessage, setToastMessage] = useState<string | null>(null);
 
   const fetchMysteryBoxes = useCallback(async () => {
@@ -40,6 +41,20 @@ export default function MysteryBoxList() {
     }
   };
 
+  const publishMysteryBox = async (boxId: string, boxName: string) => {
+    try {
+      setPublishing(boxId);
+      const updated = await api.publishMysteryBox(boxId);
+      setMysteryBoxes((boxes) => boxes.map((box) => (box.id === updated.id ? { ...box, ...updated } : box)));
+      setToastMessage(`Published "${boxName}" to Shopify`);
+    } catch (err) {
+      console.error('Error publishing mystery box:', err);
+      setToastMessage(`Failed to publish "${boxName}" to Shopify`);
+    } finally {
+      setPublishing(null);
+    }
+  };
+
   useEffect(() => {
     fetchMysteryBoxes();
   }, [fetchMysteryBoxes]);
@@ -130,6 +145,14 @@ export default function MysteryBoxList() {
       >
         Generate
       </Button>
+      <Button 
+        onClick={() => publishMysteryBox(box.id, box.name)}
+        size="slim"
+        loading={publishing === box.id}
+        disabled={publishing !== null}
+      >
+        {box.publishedAt ? 'Republish' : 'Publish'}
+      </Button>
     </div>
   ]);
 
@@ -1,4 +1,116 @@
-import axios, { AxiosInstance, AxiosResponse } from 'axios';
+import axios, { AxiosInstance, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+
+// App Bridge (loaded from Shopify's CDN in index.html) when running embedded in the Shopify admin
+declare global {
+  interface Window {
+    shopify?: { idToken: () => Promise<string> };
+  }
+}
+
+const DEMO_SHOP = 'pack-peddlers-demo.myshopify.com';
+
+// Refresh development session tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+export interface MysteryBoxTier {
+  name: string;
+  tags?: string[];
+  productTypes?: string[];
+  productIds?: string[];
+  slots: number;
+  probability?: number;
+  fallbackTier?: string;
+}
+
+export interface TierOdds {
+  name: string;
+  slots: number;
+  probability: number;
+  fallbackTier: string;
+  expectedPerBox: number;
+  itemsPulled: number;
+  averagePerBox: number;
+  boxesWithTier: number;
+  boxRate: number;
+  expectedBoxRate: number;
+}
+
+export interface MysteryBoxStatistics {
+  totalGenerated: number;
+  statusCounts: Record<BoxInstanceStatus, number>;
+  tierOdds: TierOdds[] | null;
+  averageValue: number;
+  averageItems: number;
+  totalValue: number;
+  valueRange: { min: number; max: number };
+  itemRange: { min: number; max: number };
+}
+
+export interface PreviewDiagnostics {
+  stages: { stage: string; poolSize: number }[];
+  rejected: {
+    shopifyProductId: string;
+    shopifyVariantId: string | null;
+    title: string;
+    variantTitle: string | null;
+    price: number;
+    stage: string;
+    reason: string;
+  }[];
+  rejectedCounts: Record<string, number>;
+  rejectedTruncated: boolean;
+}
+
+export interface MysteryBoxPreview {
+  feasible: boolean;
+  preview: {
+    products: any[];
+    totalValue: number;
+    totalCost: number | null;
+    itemCount: number;
+    savings: number;
+    costLimit: number | null;
+  } | null;
+  infeasible: { error: string; reason: string; details: Record<string, any> } | null;
+  diagnostics: PreviewDiagnostics;
+}
+
+export interface SimulatedProduct {
+  shopifyProductId: string;
+  shopifyVariantId: string | null;
+  title: string;
+  variantTitle: string | null;
+  price: number;
+  tier?: string;
+  count: number;
+  inclusionRate: number;
+  availableQuantity: number;
+  boxesUntilStockout: number;
+}
+
+export interface MysteryBoxSimulation {
+  iterations: number;
+  requestedIterations: number;
+  truncated: boolean;
+  poolSize: number;
+  durationMs: number;
+  successes: number;
+  failures: number;
+  failureRate: number;
+  failureReasons: Record<string, number>;
+  averageValue: number;
+  averageCost: number | null;
+  averageItems: number;
+  valueHistogram: { from: number; to: number; count: number }[];
+  itemCountHistogram: { items: number; count: number }[];
+  productFrequency: SimulatedProduct[];
+  tierFrequency: { name: string; averagePerBox: number; expectedPerBox: number }[] | null;
+  inventoryDrawdown: {
+    unitsPerBox: number;
+    boxesUntilFirstStockout: number | null;
+    firstToSellOut: SimulatedProduct[];
+  };
+}
 
 export interface MysteryBox {
   id: string;
@@ -12,16 +124,39 @@ export interface MysteryBox {
   excludeTags: string[];
   isActive: boolean;
   isAutomatic: boolean;
+  price?: number | null;
+  imageUrl?: string | null;
+  targetMargin?: number | null;
+  maxCost?: number | null;
+  tiers?: MysteryBoxTier[] | null;
+  dedupeWindowDays?: number | null;
+  dedupeBy?: 'product' | 'productType';
+  shopifyProductId?: string | null;
+  shopifyVariantId?: string | null;
+  publishedAt?: string | null;
   createdAt: string;
   updatedAt: string;
 }
 
+export type BoxInstanceStatus = 'DRAFT' | 'GENERATED' | 'PUBLISHED' | 'SOLD' | 'FULFILLED' | 'CANCELLED';
+
 export interface BoxInstance {
   id: string;
   totalValue: number;
+  totalCost?: number | null;
   itemCount: number;
-  status: 'DRAFT' | 'GENERATED' | 'PUBLISHED' | 'SOLD';
+  status: BoxInstanceStatus;
   selectedProducts: any[];
+  orderId?: string | null;
+  orderName?: string | null;
+  lineItemId?: string | null;
+  unitIndex?: number | null;
+  customerId?: string | null;
+  generatedAt?: string;
+  publishedAt?: string | null;
+  soldAt?: string | null;
+  fulfilledAt?: string | null;
+  cancelledAt?: string | null;
   createdAt: string;
   updatedAt: string;
   mysteryBoxId: string;
@@ -40,15 +175,54 @@ export interface Product {
   price: number;
   compareAtPrice: number | null;
   costPerItem: number | null;
-  inventory: number;
-  available: boolean;
+  status: string;
+  inventoryQuantity: number;
   imageUrl: string | null;
-  isActive: boolean;
   lastSynced: string;
   createdAt: string;
   updatedAt: string;
-  variants: any[];
-  images: any[];
+  variants: ProductVariant[];
+  images: ProductImage[];
+}
+
+export interface ProductVariant {
+  id: string;
+  title: string | null;
+  sku: string | null;
+  price: number;
+  compareAtPrice: number | null;
+  costPerItem: number | null;
+  inventoryItemId: string | null;
+  inventoryQuantity: number;
+  weight: number | null;
+  weightUnit: string | null;
+  inventoryLevels: { locationId: string; available: number }[];
+}
+
+export interface ProductImage {
+  id: string | null;
+  src: string;
+  alt: string | null;
+}
+
+export interface SyncJob {
+  id: number;
+  shopId: number;
+  full: boolean;
+  trigger: string;
+  status: 'QUEUED' | 'RUNNING' | 'SUCCEEDED' | 'FAILED';
+  attempts: number;
+  totalCount: number | null;
+  processedCount: number;
+  syncedCount: number;
+  deletedCount: number;
+  errorCount: number;
+  errors: { message: string; productId: number | string; productTitle: string }[];
+  error: string | null;
+  progress: number;
+  queuedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
 }
 
 export interface InventoryStats {
@@ -63,6 +237,8 @@ export class ApiService {
   private client: AxiosInstance;
   private currentShop: string | null = null;
   private shopPromise: Promise<string> | null = null;
+  private devSession: { token: string; expiresAt: number } | null = null;
+  private devSessionPromise: Promise<string> | null = null;
 
   constructor(baseURL?: string) {
     // Automatically detect API base URL
@@ -86,7 +262,8 @@ export class ApiService {
     // Request interceptor for debugging and dynamic headers
     this.client.interceptors.request.use(
       async (config) => {
-        // Get shop domain for this request
+        // The session first: getting it can switch the shop to the demo shop
+        config.headers['Authorization'] = `Bearer ${await this.getSessionToken()}`;
         const currentShop = await this.getShopDomain();
         config.headers['X-Shopify-Shop-Domain'] = currentShop;
         
@@ -104,12 +281,72 @@ export class ApiService {
     this.client.interceptors.response.use(
       (response) => response,
       (error) => {
+        // A development token may have been signed by a server that restarted since; retry once with a new one
+        const config = error.config as (InternalAxiosRequestConfig & { sessionRetried?: boolean }) | undefined;
+        if (error.response?.status === 401 && config && !config.sessionRetried && !this.isEmbedded()) {
+          config.sessionRetried = true;
+          this.devSession = null;
+          return this.client.request(config);
+        }
+
         console.error('API Error:', error.response?.data || error.message);
         return Promise.reject(error);
       }
     );
   }
 
+  // Embedded in the Shopify admin with App Bridge available
+  private isEmbedded(): boolean {
+    return window.top !== window.self && typeof window.shopify?.idToken === 'function';
+  }
+
+  // Session token for the Authorization header: from App Bridge when embedded,
+  // otherwise a token issued by the server for the current shop (development) or the demo shop
+  private async getSessionToken(): Promise<string> {
+    if (this.isEmbedded()) {
+      return window.shopify!.idToken();
+    }
+
+    if (this.devSession && this.devSession.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      return this.devSession.token;
+    }
+
+    if (!this.devSessionPromise) {
+      this.devSessionPromise = this.fetchDevSession().finally(() => {
+        this.devSessionPromise = null;
+      });
+    }
+
+    return this.devSessionPromise;
+  }
+
+  private async fetchDevSession(): Promise<string> {
+    let shop = await this.getShopDomain();
+    const requestSession = (sessionShop: string) => fetch(this.client.defaults.baseURL + '/auth/dev-session', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ shop: sessionShop })
+    });
+
+    let response = await requestSession(shop);
+
+    // Outside development the server only issues sessions for the demo shop
+    if (response.status === 404 && shop !== DEMO_SHOP) {
+      console.log(`⚠️ No session for ${shop} outside the Shopify admin, using demo shop`);
+      shop = DEMO_SHOP;
+      this.currentShop = DEMO_SHOP;
+      response = await requestSession(shop);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Could not start a development session for ${shop} (HTTP ${response.status})`);
+    }
+
+    const data: { token: string; expiresAt: string } = await response.json();
+    this.devSession = { token: data.token, expiresAt: new Date(data.expiresAt).getTime() };
+    return data.token;
+  }
+
   private async getShopDomain(): Promise<string> {
     // If we already have a shop cached, return it
     if (this.currentShop) {
@@ -131,45 +368,41 @@ export class ApiService {
 
   private async fetchCurrentShop(): Promise<string> {
     try {
-      // First check URL parameter (for OAuth redirects)
+      // Embedded: the session token is authoritative
+      if (this.isEmbedded()) {
+        console.log('🌐 Fetching current shop for the App Bridge session...');
+        const response = await fetch(this.client.defaults.baseURL + '/auth/current-shop', {
+          headers: { Authorization: `Bearer ${await window.shopify!.idToken()}` }
+        });
+        const data = await response.json();
+
+        if (data.authenticated && data.shop) {
+          console.log('✅ Got authenticated shop from server:', data.shop);
+          return data.shop;
+        }
+      }
+
+      // Development: the shop from the URL (OAuth redirects), then the last one used
       const urlShop = new URLSearchParams(window.location.search).get('shop');
       if (urlShop) {
         console.log('🔗 Using shop from URL parameter:', urlShop);
+        localStorage.setItem('shopDomain', urlShop);
         return urlShop;
       }
 
-      // Always try server first (authoritative source)
-      console.log('🌐 Fetching current shop from server...');
-      const serverUrl = this.client.defaults.baseURL + '/auth/current-shop';
-      console.log('🔗 Server URL:', serverUrl);
-      
-      const response = await fetch(serverUrl);
-      console.log('📡 Server response status:', response.status);
-      
-      const data = await response.json();
-      console.log('📊 Server response data:', data);
-
-      if (data.authenticated && data.shop) {
-        console.log('✅ Got authenticated shop from server:', data.shop);
-        // Cache it in localStorage for faster subsequent loads
-        localStorage.setItem('shopDomain', data.shop);
-        return data.shop;
-      }
-
-      // Fallback to localStorage only if server has no authenticated shop
       const storedShop = localStorage.getItem('shopDomain');
-      if (storedShop && storedShop !== 'pack-peddlers-demo.myshopify.com') {
-        console.log('📱 Using shop from localStorage as fallback:', storedShop);
+      if (storedShop) {
+        console.log('📱 Using shop from localStorage:', storedShop);
         return storedShop;
       }
 
-      console.log('⚠️ No authenticated shop found, using demo shop');
-      return 'pack-peddlers-demo.myshopify.com';
+      console.log('⚠️ No shop found, using demo shop');
+      return DEMO_SHOP;
 
     } catch (error) {
       console.error('❌ Error fetching current shop:', error);
       // Final fallback to localStorage or demo
-      const fallback = localStorage.getItem('shopDomain') || 'pack-peddlers-demo.myshopify.com';
+      const fallback = localStorage.getItem('shopDomain') || DEMO_SHOP;
       console.log('🔄 Using fallback shop:', fallback);
       return fallback;
     }
@@ -179,8 +412,7 @@ export class ApiService {
   async refreshShopDomain(): Promise<string> {
     this.currentShop = null;
     this.shopPromise = null;
-    // Clear localStorage to force server fetch
-    localStorage.removeItem('shopDomain');
+    this.devSession = null;
     return this.getShopDomain();
   }
 
@@ -223,17 +455,69 @@ export class ApiService {
     await this.client.delete(`/mystery-boxes/${id}`);
   }
 
-  async generateBoxInstance(mysteryBoxId: string): Promise<BoxInstance> {
+  async generateBoxInstance(mysteryBoxId: string, customerId?: string): Promise<BoxInstance> {
     const shop = await this.getShopDomain();
-    const response: AxiosResponse<{ instance: BoxInstance }> = await this.client.post(`/mystery-boxes/${mysteryBoxId}/generate?shop=${shop}`);
+    const response: AxiosResponse<{ instance: BoxInstance }> = await this.client.post(
+      `/mystery-boxes/${mysteryBoxId}/generate?shop=${shop}`,
+      customerId ? { customerId } : undefined
+    );
     return response.data.instance;
   }
 
+  async previewMysteryBox(
+    id: string,
+    overrides: Partial<MysteryBox> & { customerId?: string } = {}
+  ): Promise<MysteryBoxPreview> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<MysteryBoxPreview> = await this.client.post(`/mystery-boxes/${id}/preview?shop=${shop}`, overrides);
+    return response.data;
+  }
+
+  async simulateMysteryBox(
+    id: string,
+    iterations: number,
+    overrides: Partial<MysteryBox> & { customerId?: string } = {}
+  ): Promise<MysteryBoxSimulation> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ simulation: MysteryBoxSimulation }> = await this.client.post(
+      `/mystery-boxes/${id}/simulate?shop=${shop}`,
+      { ...overrides, iterations }
+    );
+    return response.data.simulation;
+  }
+
+  async publishMysteryBox(id: string): Promise<MysteryBox> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ mysteryBox: MysteryBox }> = await this.client.post(`/mystery-boxes/${id}/publish?shop=${shop}`);
+    return response.data.mysteryBox;
+  }
+
+  async getMysteryBoxStatistics(id: string): Promise<MysteryBoxStatistics> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ statistics: MysteryBoxStatistics }> = await this.client.get(`/mystery-boxes/${id}/statistics?shop=${shop}`);
+    return response.data.statistics;
+  }
+
   async getBoxInstances(mysteryBoxId: string): Promise<BoxInstance[]> {
     const response: AxiosResponse<{ instances: BoxInstance[] }> = await this.client.get(`/mystery-boxes/${mysteryBoxId}/instances`);
     return response.data.instances;
   }
 
+  async updateBoxInstanceStatus(instanceId: string, status: BoxInstanceStatus): Promise<BoxInstance> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ instance: BoxInstance }> = await this.client.post(
+      `/mystery-boxes/instances/${instanceId}/status?shop=${shop}`,
+      { status }
+    );
+    return response.data.instance;
+  }
+
+  async cancelBoxInstance(instanceId: string): Promise<BoxInstance> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ instance: BoxInstance }> = await this.client.post(`/mystery-boxes/instances/${instanceId}/cancel?shop=${shop}`);
+    return response.data.instance;
+  }
+
   // Inventory endpoints
   async getProducts(params?: {
     tags?: string;
@@ -248,25 +532,35 @@ export class ApiService {
     return response.data;
   }
 
+  async syncDemoProducts(): Promise<{ message: string; totalProducts: number; created: number; updated: number }> {
+    const response = await this.client.post('/inventory/sync-demo', {});
+    return response.data;
+  }
+
   async syncInventory(): Promise<{ message: string; syncedProducts: number; syncedAt: string }> {
     const response = await this.client.post('/inventory/sync');
     return response.data;
   }
 
-  async syncFromLiveStore(): Promise<{ success: boolean; message: string; syncedCount: number }> {
+  // Queue a sync from the live store; poll the returned job for progress
+  async syncFromLiveStore(full = false): Promise<{ message: string; job: SyncJob }> {
     const shop = await this.getShopDomain();
-    console.log('🔄 syncFromLiveStore called');
-    console.log('🏪 Shop from getShopDomain():', shop);
-    console.log('📱 Current localStorage:', localStorage.getItem('shopDomain'));
-    console.log('🌐 Current URL params:', new URLSearchParams(window.location.search).get('shop'));
-    
-    const fullUrl = `/inventory/sync?shop=${shop}`;
-    console.log('📡 Full sync URL:', fullUrl);
-    
-    const response = await this.client.post(fullUrl, {});
+    const response = await this.client.post(`/inventory/sync?shop=${shop}${full ? '&full=true' : ''}`, {});
     return response.data;
   }
 
+  async getSyncJob(jobId: number): Promise<SyncJob> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ job: SyncJob }> = await this.client.get(`/inventory/sync/jobs/${jobId}?shop=${shop}`);
+    return response.data.job;
+  }
+
+  async getSyncJobs(limit = 20): Promise<SyncJob[]> {
+    const shop = await this.getShopDomain();
+    const response: AxiosResponse<{ jobs: SyncJob[] }> = await this.client.get(`/inventory/sync/jobs?shop=${shop}&limit=${limit}`);
+    return response.data.jobs;
+  }
+
   async getInventoryStats(): Promise<InventoryStats> {
     const response: AxiosResponse<{ stats: InventoryStats }> = await this.client.get('/inventory/stats');
     return response.data.stats;
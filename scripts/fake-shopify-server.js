@@ -0,0 +1,451 @@
+// In-process fake of the Shopify Admin REST API and OAuth endpoints, seeded from the demo catalog.
+// Tests start it on a free port and point SHOPIFY_ADMIN_ORIGIN at it; run directly, it serves a
+// local store for the app (SHOPIFY_ADMIN_ORIGIN=http://localhost:<port>):
+//
+//   node scripts/fake-shopify-server.js [port]
+const crypto = require('crypto');
+const express = require('express');
+const demoProducts = require('../server/services/demoProducts');
+
+const DEFAULT_API_VERSION = '2023-10';
+
+// Shopify's maximum page size for list endpoints
+const MAX_PAGE_SIZE = 250;
+
+const LOCATIONS = [
+  { id: 61001, name: 'Main Warehouse', primary: true, active: true },
+  { id: 61002, name: 'Overflow Storage', primary: false, active: true }
+];
+
+// Shopify signs redirect queries: HMAC-SHA256 (hex) of the other parameters, sorted by name
+function signQuery(query, secret) {
+  const message = Object.keys(query)
+    .sort()
+    .map(key => new URLSearchParams({ [key]: query[key] }).toString())
+    .join('&');
+
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+const encodeCursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+class FakeShopifyServer {
+  constructor(options = {}) {
+    this.shop = options.shop || 'fake-shop.myshopify.com';
+    this.apiKey = options.apiKey || process.env.SHOPIFY_API_KEY || 'fake-api-key';
+    this.apiSecret = options.apiSecret || process.env.SHOPIFY_API_SECRET || 'fake-api-secret';
+    // Page size cap, lowered in tests to exercise pagination with a small catalog
+    this.pageSize = options.pageSize || MAX_PAGE_SIZE;
+
+    this.server = null;
+    this.origin = null;
+    this.nextId = 9000000000000;
+
+    this.reset(options);
+    this.app = this.buildApp();
+  }
+
+  // Restore the seed catalog, stock, tokens and webhooks
+  reset(options = {}) {
+    this.products = new Map();
+    this.levels = new Map();
+    this.webhooks = [];
+    this.codes = new Map();
+    this.tokens = new Set(options.accessTokens || []);
+    this.failures = [];
+    this.requests = [];
+
+    const seededAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    for (const seed of options.products || demoProducts) {
+      const product = JSON.parse(JSON.stringify(seed));
+      product.id = Number(product.id);
+      product.created_at = seededAt;
+      product.updated_at = seededAt;
+      product.variants = (product.variants || []).map(variant => ({
+        ...variant,
+        id: Number(variant.id),
+        product_id: product.id,
+        inventory_item_id: Number(variant.inventory_item_id)
+      }));
+      product.images = (product.images || []).map(image => ({ ...image, id: Number(image.id), product_id: product.id }));
+
+      this.products.set(product.id, product);
+      for (const variant of product.variants) {
+        this.levels.set(this.levelKey(variant.inventory_item_id, LOCATIONS[0].id), variant.inventory_quantity || 0);
+      }
+    }
+  }
+
+  async start(port = 0) {
+    this.server = this.app.listen(port);
+    await new Promise(resolve => this.server.once('listening', resolve));
+    this.origin = `http://127.0.0.1:${this.server.address().port}`;
+    return this.origin;
+  }
+
+  async close() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // Test helpers
+
+  // Issue an access token directly (skipping OAuth)
+  issueToken(token = `shpat_${crypto.randomBytes(16).toString('hex')}`) {
+    this.tokens.add(token);
+    return token;
+  }
+
+  // Fail the next Admin API request with this status (e.g. 429 with a Retry-After)
+  failNext(status, { retryAfter = null, count = 1 } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.failures.push({ status, retryAfter });
+    }
+  }
+
+  // Change a product as a merchant would in the Shopify admin
+  editProduct(id, changes) {
+    const product = this.products.get(Number(id));
+    Object.assign(product, changes, { updated_at: new Date().toISOString() });
+    return product;
+  }
+
+  removeProduct(id) {
+    return this.products.delete(Number(id));
+  }
+
+  getProduct(id) {
+    return this.products.get(Number(id)) || null;
+  }
+
+  availableAt(inventoryItemId, locationId) {
+    return this.levels.get(this.levelKey(inventoryItemId, locationId));
+  }
+
+  // Internals
+
+  levelKey(inventoryItemId, locationId) {
+    return `${inventoryItemId}:${locationId}`;
+  }
+
+  findVariantByItem(inventoryItemId) {
+    for (const product of this.products.values()) {
+      const variant = product.variants.find(v => v.inventory_item_id === Number(inventoryItemId));
+      if (variant) return { product, variant };
+    }
+    return null;
+  }
+
+  // A variant's quantity is the sum of its levels, as in Shopify
+  syncVariantQuantity(inventoryItemId) {
+    const found = this.findVariantByItem(inventoryItemId);
+    if (!found) return;
+
+    found.variant.inventory_quantity = LOCATIONS
+      .map(location => this.levels.get(this.levelKey(inventoryItemId, location.id)) || 0)
+      .reduce((sum, available) => sum + available, 0);
+    found.product.updated_at = new Date().toISOString();
+  }
+
+  buildVariant(product, variant = {}) {
+    const id = this.nextId++;
+    const created = {
+      title: 'Default Title',
+      price: '0.00',
+      inventory_quantity: 0,
+      ...variant,
+      id,
+      product_id: product.id,
+      inventory_item_id: this.nextId++
+    };
+
+    this.levels.set(this.levelKey(created.inventory_item_id, LOCATIONS[0].id), created.inventory_quantity);
+    return created;
+  }
+
+  pageLink(req, limit, cursor) {
+    const url = `${this.origin}${req.baseUrl}${req.path}?${new URLSearchParams({ limit, page_info: cursor })}`;
+    return `<${url}>; rel="next"`;
+  }
+
+  buildApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, query: { ...req.query } });
+      next();
+    });
+
+    this.mountOAuth(app);
+    app.use('/admin/api/:version', this.adminApi());
+
+    return app;
+  }
+
+  mountOAuth(app) {
+    // Approve the install at once and redirect back with a signed query
+    app.get('/admin/oauth/authorize', (req, res) => {
+      const { client_id: clientId, redirect_uri: redirectUri, state } = req.query;
+      if (clientId !== this.apiKey || !redirectUri) {
+        return res.status(400).send('Invalid client_id or redirect_uri');
+      }
+
+      const code = crypto.randomBytes(8).toString('hex');
+      this.codes.set(code, this.shop);
+
+      const query = { code, shop: this.shop, state, timestamp: String(Math.floor(Date.now() / 1000)) };
+      query.hmac = signQuery(query, this.apiSecret);
+
+      res.redirect(`${redirectUri}?${new URLSearchParams(query)}`);
+    });
+
+    // Codes are single-use
+    app.post('/admin/oauth/access_token', (req, res) => {
+      const { client_id: clientId, client_secret: clientSecret, code } = req.body;
+      if (clientId !== this.apiKey || clientSecret !== this.apiSecret || !this.codes.has(code)) {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'The authorization code was not found or was already used' });
+      }
+
+      this.codes.delete(code);
+      res.json({ access_token: this.issueToken(), scope: 'read_products,write_products,read_inventory,write_inventory,read_orders,write_orders' });
+    });
+  }
+
+  adminApi() {
+    const api = express.Router();
+
+    api.use((req, res, next) => {
+      if (!this.tokens.has(req.get('X-Shopify-Access-Token'))) {
+        return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+      }
+
+      res.set('X-Shopify-Shop-Api-Call-Limit', '1/40');
+
+      const failure = this.failures.shift();
+      if (failure) {
+        if (failure.retryAfter !== null) res.set('Retry-After', String(failure.retryAfter));
+        return res.status(failure.status).json({ errors: failure.status === 429 ? 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' : 'Internal Server Error' });
+      }
+
+      next();
+    });
+
+    api.get('/shop.json', (req, res) => {
+      res.json({
+        shop: {
+          id: 548380009,
+          name: 'Fake Shop',
+          email: 'owner@fake-shop.test',
+          domain: this.shop,
+          myshopify_domain: this.shop,
+          currency: 'USD',
+          iana_timezone: 'America/New_York'
+        }
+      });
+    });
+
+    // Cursor pagination: a page_info request may only repeat limit and fields
+    api.get('/products.json', (req, res) => {
+      const { page_info: pageInfo, fields } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, this.pageSize);
+      let filters;
+      let afterId = 0;
+
+      if (pageInfo) {
+        const extra = Object.keys(req.query).filter(key => !['page_info', 'limit', 'fields'].includes(key));
+        const cursor = decodeCursor(pageInfo);
+        if (extra.length > 0 || !cursor) {
+          return res.status(400).json({ errors: { page_info: 'Invalid value.' } });
+        }
+        ({ filters, afterId } = cursor);
+      } else {
+        filters = { status: req.query.status || null, updatedAtMin: req.query.updated_at_min || null };
+      }
+
+      const matching = [...this.products.values()]
+        .filter(p => !filters.status || filters.status.split(',').includes(p.status))
+        .filter(p => !filters.updatedAtMin || new Date(p.updated_at) >= new Date(filters.updatedAtMin))
+        .sort((a, b) => a.id - b.id)
+        .filter(p => p.id > afterId);
+
+      const page = matching.slice(0, limit);
+      if (matching.length > limit) {
+        res.set('Link', this.pageLink(req, limit, encodeCursor({ filters, afterId: page[page.length - 1].id })));
+      }
+
+      const selected = fields ? fields.split(',') : null;
+      res.json({
+        products: page.map(p => (selected ? Object.fromEntries(selected.map(key => [key, p[key]])) : p))
+      });
+    });
+
+    api.get('/products/count.json', (req, res) => {
+      const count = [...this.products.values()]
+        .filter(p => !req.query.status || req.query.status.split(',').includes(p.status)).length;
+      res.json({ count });
+    });
+
+    api.get('/products/:id.json', (req, res) => {
+      const product = this.getProduct(req.params.id);
+      if (!product) return res.status(404).json({ errors: 'Not Found' });
+      res.json({ product });
+    });
+
+    api.post('/products.json', (req, res) => {
+      const data = req.body.product || {};
+      if (!data.title) {
+        return res.status(422).json({ errors: { title: ["can't be blank"] } });
+      }
+
+      const now = new Date().toISOString();
+      const product = { status: 'active', tags: '', ...data, id: this.nextId++, created_at: now, updated_at: now };
+      product.variants = (data.variants && data.variants.length > 0 ? data.variants : [{}]).map(v => this.buildVariant(product, v));
+      product.images = (data.images || []).map(image => ({ ...image, id: this.nextId++, product_id: product.id }));
+
+      this.products.set(product.id, product);
+      res.status(201).json({ product });
+    });
+
+    // Top-level fields are replaced; listed variants are updated by id
+    api.put('/products/:id.json', (req, res) => {
+      const product = this.getProduct(req.params.id);
+      if (!product) return res.status(404).json({ errors: 'Not Found' });
+
+      const { variants, images, id, ...fields } = req.body.product || {};
+      Object.assign(product, fields, { updated_at: new Date().toISOString() });
+
+      for (const change of variants || []) {
+        const variant = product.variants.find(v => v.id === Number(change.id));
+        if (variant) Object.assign(variant, change, { id: variant.id });
+      }
+
+      if (images) {
+        product.images = images.map(image => ({ ...image, id: this.nextId++, product_id: product.id }));
+      }
+
+      res.json({ product });
+    });
+
+    api.get('/inventory_items.json', (req, res) => {
+      const ids = (req.query.ids || '').split(',').filter(Boolean);
+      if (ids.length > 100) {
+        return res.status(422).json({ errors: { ids: ['must not exceed 100 values'] } });
+      }
+
+      const items = ids
+        .map(id => this.findVariantByItem(id))
+        .filter(Boolean)
+        .map(({ variant }) => ({ id: variant.inventory_item_id, sku: variant.sku || '', cost: variant.cost ?? null, tracked: true }));
+
+      res.json({ inventory_items: items });
+    });
+
+    api.get('/locations.json', (req, res) => {
+      res.json({ locations: LOCATIONS });
+    });
+
+    api.get('/inventory_levels.json', (req, res) => {
+      const itemIds = (req.query.inventory_item_ids || '').split(',').filter(Boolean).map(Number);
+      const locationIds = (req.query.location_ids || '').split(',').filter(Boolean).map(Number);
+      if (itemIds.length === 0 && locationIds.length === 0) {
+        return res.status(422).json({ errors: 'inventory_item_ids or location_ids is required' });
+      }
+
+      const levels = [];
+      for (const [key, available] of this.levels) {
+        const [itemId, locationId] = key.split(':').map(Number);
+        if (itemIds.length > 0 && !itemIds.includes(itemId)) continue;
+        if (locationIds.length > 0 && !locationIds.includes(locationId)) continue;
+        levels.push({ inventory_item_id: itemId, location_id: locationId, available });
+      }
+
+      res.json({ inventory_levels: levels });
+    });
+
+    api.post('/inventory_levels/set.json', (req, res) => {
+      const { inventory_item_id: inventoryItemId, location_id: locationId, available } = req.body;
+      if (!this.findVariantByItem(inventoryItemId) || !LOCATIONS.some(l => l.id === Number(locationId))) {
+        return res.status(422).json({ errors: ['Inventory item or location not found'] });
+      }
+
+      this.levels.set(this.levelKey(Number(inventoryItemId), Number(locationId)), available);
+      this.syncVariantQuantity(inventoryItemId);
+
+      res.json({
+        inventory_level: { inventory_item_id: Number(inventoryItemId), location_id: Number(locationId), available, updated_at: new Date().toISOString() }
+      });
+    });
+
+    api.post('/inventory_levels/adjust.json', (req, res) => {
+      const { inventory_item_id: inventoryItemId, location_id: locationId, available_adjustment: adjustment } = req.body;
+      if (!this.findVariantByItem(inventoryItemId) || !LOCATIONS.some(l => l.id === Number(locationId))) {
+        return res.status(422).json({ errors: ['Inventory item or location not found'] });
+      }
+      if (!Number.isInteger(adjustment)) {
+        return res.status(422).json({ errors: { available_adjustment: ['must be an integer'] } });
+      }
+
+      const key = this.levelKey(Number(inventoryItemId), Number(locationId));
+      const available = (this.levels.get(key) || 0) + adjustment;
+      this.levels.set(key, available);
+      this.syncVariantQuantity(inventoryItemId);
+
+      res.json({
+        inventory_level: { inventory_item_id: Number(inventoryItemId), location_id: Number(locationId), available, updated_at: new Date().toISOString() }
+      });
+    });
+
+    api.get('/webhooks.json', (req, res) => {
+      res.json({ webhooks: this.webhooks });
+    });
+
+    api.post('/webhooks.json', (req, res) => {
+      const { topic, address, format = 'json' } = req.body.webhook || {};
+      if (!topic || !address) {
+        return res.status(422).json({ errors: { topic: ["can't be blank"] } });
+      }
+      if (this.webhooks.some(w => w.topic === topic && w.address === address)) {
+        return res.status(422).json({ errors: { address: ['for this topic has already been taken'] } });
+      }
+
+      const webhook = { id: this.nextId++, topic, address, format, created_at: new Date().toISOString() };
+      this.webhooks.push(webhook);
+      res.status(201).json({ webhook });
+    });
+
+    api.use((req, res) => {
+      res.status(404).json({ errors: 'Not Found' });
+    });
+
+    return api;
+  }
+}
+
+FakeShopifyServer.DEFAULT_API_VERSION = DEFAULT_API_VERSION;
+FakeShopifyServer.LOCATIONS = LOCATIONS;
+FakeShopifyServer.signQuery = signQuery;
+
+// Run if this script is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+
+  const fake = new FakeShopifyServer({ shop: process.env.FAKE_SHOPIFY_SHOP });
+  const token = fake.issueToken(process.env.FAKE_SHOPIFY_ACCESS_TOKEN);
+
+  fake.start(parseInt(process.argv[2], 10) || 4000).then((origin) => {
+    console.log(`🧪 Fake Shopify Admin API for ${fake.shop} listening on ${origin}`);
+    console.log(`   SHOPIFY_ADMIN_ORIGIN=${origin}`);
+    console.log(`   Access token: ${token} (or install through ${origin}/admin/oauth/authorize)`);
+  });
+}
+
+module.exports = FakeShopifyServer;
@@ -0,0 +1,82 @@
+// Re-encrypt stored shop access tokens with the active TOKEN_ENCRYPTION_KEYS key.
+// Plaintext tokens (stored before encryption) are encrypted; tokens under an older key are
+// re-wrapped. Run after putting a new key first in TOKEN_ENCRYPTION_KEYS, then drop the old key.
+//
+//   node scripts/rotate-token-keys.js [--dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const tokenEncryptionService = require('../server/services/tokenEncryptionService');
+const { installConsoleRedaction } = require('../server/services/logRedaction');
+
+installConsoleRedaction();
+
+async function rotateTokenKeys({ dryRun = false } = {}) {
+  const prisma = new PrismaClient();
+  const activeKeyId = tokenEncryptionService.activeKeyId();
+
+  if (!activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+
+  console.log(`🔑 Re-encrypting access tokens with key ${activeKeyId}${dryRun ? ' (dry run)' : ''}`);
+
+  const summary = { checked: 0, rotated: 0, unchanged: 0, failed: 0 };
+
+  try {
+    const shops = await prisma.shop.findMany({
+      where: { accessToken: { not: '' } },
+      select: { id: true, shopDomain: true, accessToken: true }
+    });
+
+    for (const shop of shops) {
+      summary.checked++;
+
+      try {
+        const rotated = tokenEncryptionService.rotate(shop.accessToken);
+        if (!rotated) {
+          summary.unchanged++;
+          continue;
+        }
+
+        const from = tokenEncryptionService.keyIdOf(shop.accessToken) || 'plaintext';
+
+        if (!dryRun) {
+          // Guard on the old value so a token replaced meanwhile (e.g. a reinstall) is not overwritten
+          const { count } = await prisma.shop.updateMany({
+            where: { id: shop.id, accessToken: shop.accessToken },
+            data: { accessToken: rotated }
+          });
+
+          if (count === 0) {
+            console.warn(`⚠️ ${shop.shopDomain}: token changed during rotation, skipped`);
+            summary.unchanged++;
+            continue;
+          }
+        }
+
+        summary.rotated++;
+        console.log(`✅ ${shop.shopDomain}: ${from} → ${activeKeyId}`);
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ ${shop.shopDomain}: ${error.message}`);
+      }
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  console.log(`🔑 ${summary.checked} tokens checked, ${summary.rotated} ${dryRun ? 'to rotate' : 'rotated'}, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+  return summary;
+}
+
+// Run if this script is executed directly
+if (require.main === module) {
+  rotateTokenKeys({ dryRun: process.argv.includes('--dry-run') })
+    .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error('❌ Token rotation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateTokenKeys };
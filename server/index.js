@@ -1,4 +1,6 @@
 require('dotenv').config();
+// Scrub access and session tokens from everything written to the console
+require('./services/logRedaction').installConsoleRedaction();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -10,6 +12,11 @@ const authRoutes = require('./routes/auth');
 const mysteryBoxRoutes = require('./routes/mysteryBox');
 const inventoryRoutes = require('./routes/inventory');
 const webhookRoutes = require('./routes/webhooks');
+const syncJobService = require('./services/syncJobService');
+const syncSchedulerService = require('./services/syncSchedulerService');
+const webhookDeliveryService = require('./services/webhookDeliveryService');
+const { captureRawBody } = require('./middleware/verifyWebhook');
+const { requireSession } = require('./middleware/sessionAuth');
 
 const app = express();
 const prisma = new PrismaClient();
@@ -30,6 +37,11 @@ async function setupDatabase() {
     try {
       await prisma.shop.findFirst();
       console.log('✅ Database schema looks good');
+
+      // Resume queued and interrupted product syncs and webhooks, then keep caches fresh on a schedule
+      await syncJobService.start();
+      await webhookDeliveryService.start();
+      syncSchedulerService.start();
     } catch (error) {
       console.log('📦 Database tables not found, will create on first request');
       console.log('You can manually setup with: POST /setup-database');
@@ -115,16 +127,30 @@ app.use((req, res, next) => {
 });
 
 // Rate limiting
+// Sync job status polls have their own, larger budget so a long sync cannot exhaust the app's
+const SYNC_JOB_STATUS_PATH = /^\/api\/inventory\/sync\/jobs\/[^/]+\/?$/;
+const isSyncJobStatusPoll = req => req.method === 'GET' && SYNC_JOB_STATUS_PATH.test(req.path);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: isSyncJobStatusPoll
+});
+const syncJobStatusLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300
+  skip: req => !isSyncJobStatusPoll(req)
 });
 app.use(limiter);
+app.use(syncJobStatusLimiter);
 
 // Body parsing middleware with error handling
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf, encoding) => {
+    // Webhook HMACs are checked against the bytes as received
+    captureRawBody(req, res, buf);
+
     try {
       JSON.parse(buf);
     } catch (e) {
@@ -235,8 +261,9 @@ app.post('/setup-database', async (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/mystery-boxes', mysteryBoxRoutes);
-app.use('/api/inventory', inventoryRoutes);
+// Merchant APIs take the shop from the verified session token
+app.use('/api/mystery-boxes', requireSession, mysteryBoxRoutes);
+app.use('/api/inventory', requireSession, inventoryRoutes);
 app.use('/api/webhooks', webhookRoutes);
 
 // Serve static files from React build in production
@@ -298,12 +325,18 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  syncSchedulerService.stop();
+  syncJobService.stop();
+  webhookDeliveryService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  syncSchedulerService.stop();
+  syncJobService.stop();
+  webhookDeliveryService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -0,0 +1,28 @@
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+
+// Store a verified webhook in the delivery queue and acknowledge it right away, so slow
+// processing never makes Shopify time out and retry. Shopify's retries of a delivery that
+// was already received are acknowledged without being queued again.
+function queueWebhook(topic) {
+  return async (req, res) => {
+    try {
+      const { delivery, duplicate } = await webhookDeliveryService.enqueue({
+        webhookId: req.get('X-Shopify-Webhook-Id'),
+        topic,
+        shopDomain: req.shopifyShop,
+        payload: req.rawBody.toString('utf8')
+      });
+
+      if (duplicate) {
+        console.log(`Skipping duplicate ${topic} webhook ${delivery.webhookId} from ${req.shopifyShop}`);
+      }
+
+      res.status(200).json({ received: true, duplicate, deliveryId: delivery.id });
+    } catch (error) {
+      console.error(`Error queueing ${topic} webhook:`, error);
+      res.status(500).json({ error: 'Failed to queue webhook' });
+    }
+  };
+}
+
+module.exports = { queueWebhook };
@@ -0,0 +1,33 @@
+const sessionTokenService = require('../services/sessionTokenService');
+
+// Authenticate a merchant request by its session token (Authorization: Bearer <token>).
+// The shop comes from the verified token: a ?shop= or X-Shopify-Shop-Domain naming another
+// shop is rejected, and req.query.shop is set to the token's shop for the routes that read it.
+function requireSession(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+
+  if (!match) {
+    return res.status(401).json({ error: 'Session token required' });
+  }
+
+  let session;
+  try {
+    session = sessionTokenService.verify(match[1]);
+  } catch (error) {
+    console.warn(`🔒 Rejected session token for ${req.method} ${req.originalUrl}: ${error.message}`);
+    return res.status(401).json({ error: 'Invalid session token', details: error.message });
+  }
+
+  const requestedShops = [req.query.shop, req.get('X-Shopify-Shop-Domain')].filter(Boolean);
+  if (requestedShops.some(shop => shop !== session.shop)) {
+    console.warn(`🔒 Session for ${session.shop} tried to access ${requestedShops.join(', ')}`);
+    return res.status(403).json({ error: 'Session is not valid for this shop' });
+  }
+
+  req.session = session;
+  req.shopDomain = session.shop;
+  req.query.shop = session.shop;
+  next();
+}
+
+module.exports = { requireSession };
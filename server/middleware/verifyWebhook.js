@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Shopify signs webhooks with the app's API secret unless a dedicated webhook secret is configured
+function webhookSecret() {
+  return process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+}
+
+// express.json verify hook: keep the exact bytes received, since Shopify signs those
+// and re-serializing the parsed body does not reproduce them (escaping, key order, whitespace)
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Base64 HMAC-SHA256 of a payload, as sent in X-Shopify-Hmac-Sha256
+function computeHmac(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+// Constant-time comparison of a payload's HMAC with the header value
+function isValidHmac(body, hmacHeader, secret) {
+  const expected = Buffer.from(computeHmac(body, secret), 'base64');
+  const received = Buffer.from(hmacHeader || '', 'base64');
+
+  // timingSafeEqual throws on a length mismatch
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Reject webhooks whose HMAC does not match the raw request body
+function verifyWebhook(req, res, next) {
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+
+  if (!hmacHeader || !topic || !shop) {
+    return res.status(401).json({ error: 'Missing required headers' });
+  }
+
+  const secret = webhookSecret();
+
+  if (!secret) {
+    console.error('SHOPIFY_WEBHOOK_SECRET not configured');
+    return res.status(500).json({ error: 'Webhook secret not configured' });
+  }
+
+  if (!req.rawBody) {
+    console.error('Webhook raw body was not captured; is express.json configured with captureRawBody?');
+    return res.status(500).json({ error: 'Webhook body not available for verification' });
+  }
+
+  if (!isValidHmac(req.rawBody, hmacHeader, secret)) {
+    console.error('Webhook verification failed');
+    return res.status(401).json({ error: 'Webhook verification failed' });
+  }
+
+  req.shopifyTopic = topic;
+  req.shopifyShop = shop;
+  next();
+}
+
+module.exports = { verifyWebhook, captureRawBody, computeHmac, isValidHmac, webhookSecret };
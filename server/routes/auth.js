@@ -1,19 +1,27 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const shopifyService = require('../services/shopifyService');
 const LiveShopifyService = require('../services/liveShopifyService');
+const storeAdapterService = require('../services/storeAdapterService');
+const syncJobService = require('../services/syncJobService');
+const sessionTokenService = require('../services/sessionTokenService');
+const oauthService = require('../services/oauthService');
+const tokenEncryptionService = require('../services/tokenEncryptionService');
+const { requireSession } = require('../middleware/sessionAuth');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Scopes of the demo/legacy install flow (/shopify/install), which asks for per-user grants
+const LEGACY_SCOPES = 'read_products,write_products,read_inventory,write_inventory,read_orders';
+
 // Live Shopify OAuth installation route
 router.get('/install', async (req, res) => {
   try {
     // Check if Shopify credentials are configured
-    if (!process.env.SHOPIFY_API_KEY || !process.env.SHOPIFY_API_SECRET || !process.env.HOST) {
+    if (!process.env.SHOPIFY_API_KEY || !process.env.SHOPIFY_API_SECRET || !process.env.HOST || !tokenEncryptionService.activeKeyId()) {
       return res.status(400).json({ 
         error: 'Shopify app credentials not configured',
-        message: 'Please set SHOPIFY_API_KEY, SHOPIFY_API_SECRET, and HOST environment variables'
+        message: 'Please set SHOPIFY_API_KEY, SHOPIFY_API_SECRET, HOST and TOKEN_ENCRYPTION_KEYS environment variables'
       });
     }
 
@@ -24,11 +32,11 @@ router.get('/install', async (req, res) => {
     }
 
     // Validate shop domain format
-    if (!shop.endsWith('.myshopify.com')) {
+    if (!sessionTokenService.isValidShopDomain(shop)) {
       return res.status(400).json({ error: 'Invalid shop domain format' });
     }
 
-    const authUrl = LiveShopifyService.getInstallUrl(shop);
+    const authUrl = await LiveShopifyService.getInstallUrl(shop);
     res.redirect(authUrl);
   } catch (error) {
     console.error('Error in Shopify install:', error);
@@ -39,11 +47,8 @@ router.get('/install', async (req, res) => {
 // OAuth callback route
 router.get('/callback', async (req, res) => {
   try {
-    const { shop, code, state } = req.query;
-
-    if (!shop || !code) {
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
+    // Shop hostname, HMAC and the single-use state must all check out before the code is used
+    const { shop, code } = await oauthService.validateCallback(req.query);
 
     console.log(`🔐 Processing OAuth callback for shop: ${shop}`);
 
@@ -52,37 +57,38 @@ router.get('/callback', async (req, res) => {
     
     console.log(`✅ Successfully obtained access token for ${shop}`);
 
+    // Tokens are only stored encrypted
+    const storedToken = tokenEncryptionService.encrypt(accessToken);
+
     // Store shop data in database
     const shopRecord = await prisma.shop.upsert({
       where: { shopDomain: shop },
       update: { 
-        accessToken,
+        accessToken: storedToken,
         isActive: true
       },
       create: {
         shopDomain: shop,
         shopName: shop,
-        accessToken,
+        accessToken: storedToken,
         isActive: true
       }
     });
 
     console.log(`💾 Shop record saved for ${shop}`);
 
-    // Start initial product sync
-    const liveService = new LiveShopifyService(shop, accessToken);
-    
-    // Sync products in background
-    liveService.syncProducts().then(result => {
-      console.log(`📦 Initial sync completed for ${shop}:`, result);
-    }).catch(error => {
-      console.error(`❌ Initial sync failed for ${shop}:`, error.message);
-    });
+    // Queue the initial product sync; the worker runs it in the background
+    await syncJobService.enqueue(shopRecord.id, { full: true, trigger: 'install' });
 
     // Redirect to app with success
     res.redirect(`${process.env.HOST || 'http://localhost:3002'}?shop=${shop}&installed=true`);
 
   } catch (error) {
+    if (error.code === 'INVALID_OAUTH_CALLBACK') {
+      console.warn(`🔒 Rejected OAuth callback for ${req.query.shop}: ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('❌ OAuth callback error:', error);
     res.status(500).json({ 
       error: 'Authentication failed',
@@ -91,10 +97,10 @@ router.get('/callback', async (req, res) => {
   }
 });
 
-// Manual sync route
-router.post('/sync', async (req, res) => {
+// Manual sync route (?full=true re-fetches the whole catalog)
+router.post('/sync', requireSession, async (req, res) => {
   try {
-    const { shop } = req.query;
+    const { shop, full } = req.query;
 
     if (!shop) {
       return res.status(400).json({ error: 'Shop parameter is required' });
@@ -111,14 +117,21 @@ router.post('/sync', async (req, res) => {
       return res.status(404).json({ error: 'Shop not found or not authenticated' });
     }
 
-    // Create service instance and sync
-    const liveService = new LiveShopifyService(shop, shopRecord.accessToken);
-    const result = await liveService.syncProducts();
+    const { job, created, upgraded, fullNotQueued } = await syncJobService.enqueue(shopRecord.id, { full: full === 'true', trigger: 'manual' });
 
-    res.json({
+    if (fullNotQueued) {
+      return res.status(409).json({
+        error: 'A sync of changed products is running; start the full resync once it finishes',
+        job
+      });
+    }
+
+    res.status(202).json({
       success: true,
-      message: `Synced ${result.syncedCount} products from ${shop}`,
-      ...result
+      message: created
+        ? `Queued product sync for ${shop}`
+        : upgraded ? `The queued product sync for ${shop} will re-fetch all products` : `A product sync is already in progress for ${shop}`,
+      job
     });
 
   } catch (error) {
@@ -139,7 +152,15 @@ router.get('/shopify/install', async (req, res) => {
       return res.status(400).json({ error: 'Shop parameter is required' });
     }
 
-    const authUrl = shopifyService.getAuthUrl(shop);
+    if (!sessionTokenService.isValidShopDomain(shop)) {
+      return res.status(400).json({ error: 'Invalid shop domain format' });
+    }
+
+    const authUrl = await oauthService.beginInstall(shop, {
+      redirectUri: `${process.env.APP_URL}/api/auth/shopify/callback`,
+      scopes: LEGACY_SCOPES,
+      perUser: true
+    });
     res.redirect(authUrl);
   } catch (error) {
     console.error('Error in Shopify install:', error);
@@ -150,28 +171,21 @@ router.get('/shopify/install', async (req, res) => {
 // Shopify OAuth callback
 router.get('/shopify/callback', async (req, res) => {
   try {
-    const { code, shop, state } = req.query;
-
-    if (!code || !shop) {
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
-
-    // Verify state parameter for security
-    if (!shopifyService.verifyState(state)) {
-      return res.status(400).json({ error: 'Invalid state parameter' });
-    }
+    // Shop hostname, HMAC and the single-use state must all check out before the code is used
+    const { code, shop } = await oauthService.validateCallback(req.query);
 
     // Exchange code for access token
-    const accessToken = await shopifyService.getAccessToken(shop, code);
+    const accessToken = await LiveShopifyService.exchangeCodeForToken(shop, code);
 
     // Get shop info
-    const shopInfo = await shopifyService.getShopInfo(shop, accessToken);
+    const shopInfo = await new LiveShopifyService(shop, accessToken).getShopInfo();
+    const storedToken = tokenEncryptionService.encrypt(accessToken);
 
     // Store or update shop in database
     const shopData = await prisma.shop.upsert({
       where: { shopDomain: shop },
       update: {
-        accessToken,
+        accessToken: storedToken,
         shopName: shopInfo.name,
         email: shopInfo.email,
         currency: shopInfo.currency,
@@ -180,7 +194,7 @@ router.get('/shopify/callback', async (req, res) => {
       },
       create: {
         shopDomain: shop,
-        accessToken,
+        accessToken: storedToken,
         shopName: shopInfo.name,
         email: shopInfo.email,
         currency: shopInfo.currency,
@@ -192,13 +206,18 @@ router.get('/shopify/callback', async (req, res) => {
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
     res.redirect(`${frontendUrl}?shop=${shop}&installed=true`);
   } catch (error) {
+    if (error.code === 'INVALID_OAUTH_CALLBACK') {
+      console.warn(`🔒 Rejected OAuth callback for ${req.query.shop}: ${error.message}`);
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Error in Shopify callback:', error);
     res.status(500).json({ error: 'Failed to complete Shopify OAuth' });
   }
 });
 
 // Verify shop authentication
-router.get('/verify', async (req, res) => {
+router.get('/verify', requireSession, async (req, res) => {
   try {
     const { shop } = req.query;
 
@@ -215,7 +234,7 @@ router.get('/verify', async (req, res) => {
     }
 
     // Verify token is still valid
-    const isValid = await shopifyService.verifyToken(shop, shopData.accessToken);
+    const isValid = await storeAdapterService.forShop(shopData).verifyAccess();
 
     if (!isValid) {
       return res.status(401).json({ error: 'Token invalid or expired' });
@@ -237,7 +256,7 @@ router.get('/verify', async (req, res) => {
 });
 
 // Get current shop info
-router.get('/shop-info', async (req, res) => {
+router.get('/shop-info', requireSession, async (req, res) => {
   try {
     const { shop } = req.query;
 
@@ -282,7 +301,7 @@ router.get('/shop-info', async (req, res) => {
 });
 
 // Uninstall/disconnect shop
-router.delete('/disconnect', async (req, res) => {
+router.delete('/disconnect', requireSession, async (req, res) => {
   try {
     const { shop } = req.query;
 
@@ -302,25 +321,19 @@ router.delete('/disconnect', async (req, res) => {
   }
 });
 
-// Get current authenticated shop
-router.get('/current-shop', async (req, res) => {
+// Get the shop of the current session
+router.get('/current-shop', requireSession, async (req, res) => {
   try {
-    // In a real app, this would get the shop from session/JWT
-    // For now, we'll return the most recently active shop
-    const recentShop = await prisma.shop.findFirst({
-      where: { isActive: true },
-      orderBy: { updatedAt: 'desc' }
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: req.shopDomain }
     });
 
-    if (!recentShop) {
-      return res.json({ shop: null, authenticated: false });
-    }
-
     res.json({ 
-      shop: recentShop.shopDomain,
-      shopName: recentShop.shopName,
+      shop: req.shopDomain,
+      shopName: shopData?.shopName || null,
       authenticated: true,
-      lastUpdated: recentShop.updatedAt
+      installed: Boolean(shopData?.isActive),
+      lastUpdated: shopData?.updatedAt || null
     });
   } catch (error) {
     console.error('Error getting current shop:', error);
@@ -328,4 +341,30 @@ router.get('/current-shop', async (req, res) => {
   }
 });
 
+// Issue a locally signed session token for a shop (development mode, or the demo shop)
+router.post('/dev-session', async (req, res) => {
+  try {
+    const { shop } = req.body;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    if (!sessionTokenService.isValidShopDomain(shop)) {
+      return res.status(400).json({ error: 'Invalid shop domain format' });
+    }
+
+    if (!sessionTokenService.canIssueLocalToken(shop)) {
+      return res.status(404).json({ error: 'Development sessions are disabled' });
+    }
+
+    const { token, expiresAt } = sessionTokenService.issueDevToken(shop);
+
+    res.json({ token, expiresAt, shop });
+  } catch (error) {
+    console.error('Error issuing development session:', error);
+    res.status(500).json({ error: 'Failed to issue development session' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
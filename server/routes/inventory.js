@@ -1,8 +1,10 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const shopifyService = require('../services/shopifyService');
-const LiveShopifyService = require('../services/liveShopifyService');
+const storeAdapterService = require('../services/storeAdapterService');
 const demoShopifyService = require('../services/demoShopifyService');
+const productCacheService = require('../services/productCacheService');
+const syncJobService = require('../services/syncJobService');
+const syncSchedulerService = require('../services/syncSchedulerService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -71,6 +73,7 @@ router.get('/products', async (req, res) => {
 
     const products = await prisma.productCache.findMany({
       where,
+      include: productCacheService.PRODUCT_INCLUDE,
       orderBy: { updatedAt: 'desc' },
       skip,
       take: parseInt(limit)
@@ -78,13 +81,7 @@ router.get('/products', async (req, res) => {
 
     const total = await prisma.productCache.count({ where });
 
-    // Parse JSON fields
-    const formattedProducts = products.map(product => ({
-      ...product,
-      tags: JSON.parse(product.tags || '[]'),
-      variants: JSON.parse(product.variants || '[]'),
-      images: JSON.parse(product.images || '[]')
-    }));
+    const formattedProducts = products.map(product => productCacheService.formatProduct(product));
 
     res.json({
       products: formattedProducts,
@@ -115,30 +112,64 @@ router.get('/products/:productId', async (req, res) => {
       where: { 
         shopifyProductId: productId,
         shop: { shopDomain: shop }
-      }
+      },
+      include: productCacheService.PRODUCT_INCLUDE
     });
 
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    // Parse JSON fields
-    const formattedProduct = {
-      ...product,
-      tags: JSON.parse(product.tags || '[]'),
-      variants: JSON.parse(product.variants || '[]'),
-      images: JSON.parse(product.images || '[]')
-    };
-
-    res.json({ product: formattedProduct });
+    res.json({ product: productCacheService.formatProduct(product) });
   } catch (error) {
     console.error('Error fetching product:', error);
     res.status(500).json({ error: 'Failed to fetch product' });
   }
 });
 
-// Sync products from Shopify
+// Queue a product sync from Shopify (changes since the last sync; ?full=true re-fetches everything)
+// Responds 202 with the job to poll; an already queued or running sync is returned instead of a second one
+// (a queued one is made full if ?full=true; 409 when a full resync is asked for during an incremental one)
 router.post('/sync', async (req, res) => {
+  try {
+    const { shop, full } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const { job, created, upgraded, fullNotQueued } = await syncJobService.enqueue(shopData.id, { full: full === 'true', trigger: 'manual' });
+
+    if (fullNotQueued) {
+      return res.status(409).json({
+        error: 'A sync of changed products is running; start the full resync once it finishes',
+        job
+      });
+    }
+
+    res.status(202).json({
+      message: created ? 'Product sync queued' : upgraded ? 'The queued product sync will re-fetch all products' : 'A product sync is already in progress',
+      job
+    });
+  } catch (error) {
+    console.error('Error queueing product sync:', error);
+    res.status(500).json({
+      error: 'Failed to queue product sync',
+      details: error.message
+    });
+  }
+});
+
+// Recent sync jobs for a shop, newest first
+router.get('/sync/jobs', async (req, res) => {
   try {
     const { shop } = req.query;
 
@@ -146,7 +177,6 @@ router.post('/sync', async (req, res) => {
       return res.status(400).json({ error: 'Shop parameter is required' });
     }
 
-    // Find the shop and get access token
     const shopData = await prisma.shop.findUnique({
       where: { shopDomain: shop }
     });
@@ -155,46 +185,135 @@ router.post('/sync', async (req, res) => {
       return res.status(404).json({ error: 'Shop not found' });
     }
 
-    console.log(`🔄 Starting manual sync for shop: ${shop}`);
-    
-    // Use LiveShopifyService for live stores
-    const liveService = new LiveShopifyService(shop, shopData.accessToken);
-    const syncResult = await liveService.syncProducts();
+    const jobs = await syncJobService.listJobs(shopData.id, { limit: Math.min(parseInt(req.query.limit) || 20, 100) });
 
-    console.log(`✅ Manual sync completed for ${shop}:`, syncResult);
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching sync jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch sync jobs' });
+  }
+});
+
+// A single sync job, for polling progress
+router.get('/sync/jobs/:jobId', async (req, res) => {
+  try {
+    const { shop } = req.query;
 
-    // Add detailed error logging
-    if (syncResult.errorCount > 0) {
-      console.log(`⚠️ Sync had ${syncResult.errorCount} errors - details should be in logs above`);
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
     }
 
-    // Make sure we haven't already sent a response
-    if (!res.headersSent) {
-      res.json({
-        message: 'Products synced successfully',
-        ...syncResult
-      });
-    } else {
-      console.warn('⚠️ Response already sent, skipping duplicate response');
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      return res.status(404).json({ error: 'Shop not found' });
     }
+
+    const job = await syncJobService.getJob(shopData.id, parseInt(req.params.jobId));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    res.json({ job });
   } catch (error) {
-    console.error('Error syncing products:', error);
-    
-    // Only send error response if we haven't already sent one
-    if (!res.headersSent) {
-      res.status(500).json({ 
-        error: 'Failed to sync products',
-        details: error.message 
-      });
-    } else {
-      console.warn('⚠️ Error response not sent - headers already sent');
+    console.error('Error fetching sync job:', error);
+    res.status(500).json({ error: 'Failed to fetch sync job' });
+  }
+});
+
+// Scheduled sync settings and next run times for a shop
+router.get('/sync/schedule', async (req, res) => {
+  try {
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
     }
+
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const schedule = await syncSchedulerService.getSchedule(shopData);
+
+    res.json({ schedule });
+  } catch (error) {
+    console.error('Error fetching sync schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch sync schedule' });
   }
 });
 
-// Demo sync - populate with sample products for testing
+// Update scheduled sync settings: { syncIntervalMinutes, fullSyncHour }, null turns either off
+router.put('/sync/schedule', async (req, res) => {
+  try {
+    const { shop } = req.query;
+    const { syncIntervalMinutes, fullSyncHour } = req.body;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const schedule = await syncSchedulerService.updateSchedule(shopData.id, { syncIntervalMinutes, fullSyncHour });
+
+    res.json({ schedule });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error updating sync schedule:', error);
+    res.status(500).json({ error: 'Failed to update sync schedule' });
+  }
+});
+
+// History of scheduled and nightly sync runs, newest first
+router.get('/sync/schedule/runs', async (req, res) => {
+  try {
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const runs = await syncSchedulerService.listRuns(shopData.id, { limit: Math.min(parseInt(req.query.limit) || 20, 100) });
+
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error fetching scheduled sync runs:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled sync runs' });
+  }
+});
+
+// Demo sync - populate with sample products for testing (demo shop sessions only)
 router.post('/sync-demo', async (req, res) => {
   try {
+    if (!storeAdapterService.isDemoShop(req.session.shop)) {
+      return res.status(403).json({ error: 'Demo sync is only available to the demo shop' });
+    }
+
     console.log('🚀 Starting demo product sync...');
     console.log('📍 Request origin:', req.get('origin'));
     console.log('📍 Request headers:', JSON.stringify(req.headers, null, 2));
@@ -203,7 +322,7 @@ router.post('/sync-demo', async (req, res) => {
     const demoShop = await demoShopifyService.createDemoShop();
     console.log('✅ Demo shop created:', demoShop.shopDomain);
     
-    const syncResult = await demoShopifyService.syncProducts(demoShop.shopDomain, demoShop.accessToken);
+    const syncResult = await storeAdapterService.forShop(demoShop).syncProducts();
     console.log('✅ Sync result:', syncResult);
 
     const response = {
@@ -435,7 +554,7 @@ router.post('/products/:productId/refresh', async (req, res) => {
     }
 
     // Refresh specific product
-    const product = await shopifyService.refreshProduct(shop, shopData.accessToken, productId);
+    const product = await storeAdapterService.forShop(shopData).refreshProduct(productId);
 
     res.json({
       message: 'Product refreshed successfully',
@@ -467,22 +586,21 @@ router.get('/test-connection', async (req, res) => {
 
     console.log(`🧪 Testing Shopify API connection for shop: ${shop}`);
     
-    // Test with LiveShopifyService
-    const liveService = new LiveShopifyService(shop, shopData.accessToken);
+    const store = storeAdapterService.forShop(shopData);
     
     // Try to fetch shop info first
-    const shopInfo = await liveService.makeRequest('GET', '/shop.json');
-    console.log(`🏪 Shop info retrieved:`, shopInfo.shop?.name);
+    const shopInfo = await store.getShopInfo();
+    console.log(`🏪 Shop info retrieved:`, shopInfo?.name);
     
     // Try to fetch just first few products
-    const productsResponse = await liveService.makeRequest('GET', '/products.json', null, { limit: 5 });
-    console.log(`📦 Products test - found ${productsResponse.products?.length || 0} products`);
+    const products = await store.getProducts({ limit: 5 });
+    console.log(`📦 Products test - found ${products?.length || 0} products`);
 
     res.json({
       message: 'Shopify API connection successful',
-      shop: shopInfo.shop?.name,
-      productCount: productsResponse.products?.length || 0,
-      sampleProducts: productsResponse.products?.map(p => ({ 
+      shop: shopInfo?.name,
+      productCount: products?.length || 0,
+      sampleProducts: products?.map(p => ({ 
         id: p.id, 
         title: p.title, 
         status: p.status 
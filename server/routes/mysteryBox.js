@@ -49,7 +49,9 @@ router.get('/', async (req, res) => {
             id: true,
             generatedAt: true,
             totalValue: true,
-            itemCount: true
+            itemCount: true,
+            status: true,
+            orderName: true
           },
           orderBy: { generatedAt: 'desc' },
           take: 5 // Get last 5 instances for preview
@@ -122,7 +124,16 @@ router.post('/', async (req, res) => {
       excludeTags,
       includeProductTypes,
       excludeProductTypes,
-      isActive
+      isActive,
+      price,
+      imageUrl,
+      targetMargin,
+      maxCost,
+      tiers,
+      dedupeWindowDays,
+      dedupeBy,
+      shopifyProductId,
+      shopifyVariantId
     } = req.body;
 
     if (!shop) {
@@ -188,6 +199,63 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const parsedPrice = price !== undefined && price !== null && price !== '' ? parseFloat(price) : null;
+
+    if (parsedPrice !== null && (isNaN(parsedPrice) || parsedPrice < 0)) {
+      console.log('❌ Invalid price:', price);
+      return res.status(400).json({
+        error: 'price must be a valid non-negative number',
+        received: { price }
+      });
+    }
+
+    const parsedTargetMargin = targetMargin !== undefined && targetMargin !== null && targetMargin !== '' ? parseFloat(targetMargin) : null;
+    const parsedMaxCost = maxCost !== undefined && maxCost !== null && maxCost !== '' ? parseFloat(maxCost) : null;
+
+    if (parsedTargetMargin !== null && (isNaN(parsedTargetMargin) || parsedTargetMargin < 0 || parsedTargetMargin >= 1)) {
+      console.log('❌ Invalid target margin:', targetMargin);
+      return res.status(400).json({
+        error: 'targetMargin must be a number from 0 up to (not including) 1',
+        received: { targetMargin }
+      });
+    }
+
+    if (parsedMaxCost !== null && (isNaN(parsedMaxCost) || parsedMaxCost <= 0)) {
+      console.log('❌ Invalid max cost:', maxCost);
+      return res.status(400).json({
+        error: 'maxCost must be a number greater than 0',
+        received: { maxCost }
+      });
+    }
+
+    const parsedDedupeWindowDays = dedupeWindowDays !== undefined && dedupeWindowDays !== null && dedupeWindowDays !== '' ? parseInt(dedupeWindowDays) : null;
+
+    if (parsedDedupeWindowDays !== null && (isNaN(parsedDedupeWindowDays) || parsedDedupeWindowDays < 1)) {
+      console.log('❌ Invalid dedupe window:', dedupeWindowDays);
+      return res.status(400).json({
+        error: 'dedupeWindowDays must be a whole number of days, 1 or more',
+        received: { dedupeWindowDays }
+      });
+    }
+
+    if (dedupeBy !== undefined && !mysteryBoxService.DEDUPE_MODES.includes(dedupeBy)) {
+      console.log('❌ Invalid dedupeBy:', dedupeBy);
+      return res.status(400).json({
+        error: `dedupeBy must be one of: ${mysteryBoxService.DEDUPE_MODES.join(', ')}`,
+        received: { dedupeBy }
+      });
+    }
+
+    const tierErrors = mysteryBoxService.validateTiers(tiers, { minItems: parsedMinItems, maxItems: parsedMaxItems });
+
+    if (tierErrors.length > 0) {
+      console.log('❌ Invalid tiers:', tierErrors);
+      return res.status(400).json({
+        error: 'Invalid tier configuration',
+        details: tierErrors
+      });
+    }
+
     const mysteryBoxData = {
       name,
       description: description || '',
@@ -200,6 +268,15 @@ router.post('/', async (req, res) => {
       includeProductTypes: JSON.stringify(includeProductTypes || []),
       excludeProductTypes: JSON.stringify(excludeProductTypes || []),
       isActive: isActive !== undefined ? isActive : true,
+      price: parsedPrice,
+      imageUrl: imageUrl || null,
+      targetMargin: parsedTargetMargin,
+      maxCost: parsedMaxCost,
+      tiers: tiers && tiers.length > 0 ? JSON.stringify(tiers) : null,
+      dedupeWindowDays: parsedDedupeWindowDays,
+      dedupeBy: dedupeBy || 'product',
+      shopifyProductId: shopifyProductId ? shopifyProductId.toString() : null,
+      shopifyVariantId: shopifyVariantId ? shopifyVariantId.toString() : null,
       shopId: shopData.id
     };
 
@@ -261,7 +338,16 @@ router.put('/:id', async (req, res) => {
       excludeTags,
       includeProductTypes,
       excludeProductTypes,
-      isActive
+      isActive,
+      price,
+      imageUrl,
+      targetMargin,
+      maxCost,
+      tiers,
+      dedupeWindowDays,
+      dedupeBy,
+      shopifyProductId,
+      shopifyVariantId
     } = req.body;
 
     if (!shop) {
@@ -293,12 +379,47 @@ router.put('/:id', async (req, res) => {
     if (includeProductTypes !== undefined) updatedData.includeProductTypes = JSON.stringify(includeProductTypes);
     if (excludeProductTypes !== undefined) updatedData.excludeProductTypes = JSON.stringify(excludeProductTypes);
     if (isActive !== undefined) updatedData.isActive = isActive;
+    if (price !== undefined) updatedData.price = price !== null && price !== '' ? parseFloat(price) : null;
+    if (imageUrl !== undefined) updatedData.imageUrl = imageUrl || null;
+    if (targetMargin !== undefined) updatedData.targetMargin = targetMargin !== null && targetMargin !== '' ? parseFloat(targetMargin) : null;
+    if (maxCost !== undefined) updatedData.maxCost = maxCost !== null && maxCost !== '' ? parseFloat(maxCost) : null;
+    if (tiers !== undefined) updatedData.tiers = tiers && tiers.length > 0 ? JSON.stringify(tiers) : null;
+    if (dedupeWindowDays !== undefined) updatedData.dedupeWindowDays = dedupeWindowDays !== null && dedupeWindowDays !== '' ? parseInt(dedupeWindowDays) : null;
+    if (dedupeBy !== undefined) updatedData.dedupeBy = dedupeBy;
+    if (shopifyProductId !== undefined) updatedData.shopifyProductId = shopifyProductId ? shopifyProductId.toString() : null;
+    if (shopifyVariantId !== undefined) updatedData.shopifyVariantId = shopifyVariantId ? shopifyVariantId.toString() : null;
+
+    // Validate the box as it will be saved, so a partial update cannot leave it unusable
+    const merged = { ...existingBox, ...updatedData };
+    const validation = mysteryBoxService.validateConfiguration({
+      ...merged,
+      tiers: merged.tiers ? JSON.parse(merged.tiers) : undefined
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid mystery box configuration', details: validation.errors });
+    }
 
-    const mysteryBox = await prisma.mysteryBox.update({
+    let mysteryBox = await prisma.mysteryBox.update({
       where: { id: parseInt(id) },
       data: updatedData
     });
 
+    // Keep the Shopify product in sync for boxes this app published
+    if (mysteryBox.publishedAt && mysteryBox.shopifyProductId) {
+      try {
+        mysteryBox = await mysteryBoxService.publishMysteryBox(shop, mysteryBox, {
+          includeImage: imageUrl !== undefined
+        });
+      } catch (syncError) {
+        return res.json({
+          mysteryBox,
+          shopifySync: { success: false, error: syncError.message }
+        });
+      }
+      return res.json({ mysteryBox, shopifySync: { success: true } });
+    }
+
     res.json({ mysteryBox });
   } catch (error) {
     console.error('Error updating mystery box:', error);
@@ -369,16 +490,219 @@ router.post('/:id/generate', async (req, res) => {
       return res.status(400).json({ error: 'Mystery box is not active' });
     }
 
-    // Generate mystery box instance
-    const instance = await mysteryBoxService.generateMysteryBox(shop, mysteryBox);
+    // Generate mystery box instance (customerId avoids repeating what that customer already received)
+    const { customerId } = req.body || {};
+    const instance = await mysteryBoxService.generateMysteryBox(shop, mysteryBox, { customerId });
 
     res.json({ instance });
   } catch (error) {
+    if (error.code === 'SELECTION_INFEASIBLE') {
+      return res.status(422).json({ 
+        error: error.message,
+        reason: error.reason,
+        details: error.details
+      });
+    }
+
     console.error('Error generating mystery box:', error);
     res.status(500).json({ error: 'Failed to generate mystery box' });
   }
 });
 
+// Apply unsaved configuration edits from a request body on top of a stored box
+function applyConfigOverrides(mysteryBox, overrides = {}) {
+  const config = { ...mysteryBox };
+
+  for (const field of ['minValue', 'maxValue', 'price', 'targetMargin', 'maxCost']) {
+    if (overrides[field] !== undefined) {
+      config[field] = overrides[field] !== null && overrides[field] !== '' ? parseFloat(overrides[field]) : null;
+    }
+  }
+  for (const field of ['minItems', 'maxItems', 'dedupeWindowDays']) {
+    if (overrides[field] !== undefined) {
+      config[field] = overrides[field] !== null && overrides[field] !== '' ? parseInt(overrides[field]) : null;
+    }
+  }
+  for (const field of ['includeTags', 'excludeTags', 'includeProductTypes', 'excludeProductTypes']) {
+    if (overrides[field] !== undefined) config[field] = JSON.stringify(overrides[field] || []);
+  }
+  if (overrides.tiers !== undefined) {
+    config.tiers = overrides.tiers && overrides.tiers.length > 0 ? JSON.stringify(overrides.tiers) : null;
+  }
+  if (overrides.dedupeBy !== undefined) config.dedupeBy = overrides.dedupeBy;
+
+  return config;
+}
+
+// Preview a mystery box: run generation without saving an instance or reserving inventory
+// The body may carry unsaved config edits (value/item ranges, filters, tiers, cost controls) and a customerId
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shop } = req.query;
+    const { customerId, ...overrides } = req.body || {};
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    // Ensure demo shop exists
+    await ensureDemoShop(shop);
+
+    // Verify mystery box exists and belongs to shop
+    const mysteryBox = await prisma.mysteryBox.findFirst({
+      where: { 
+        id: parseInt(id),
+        shop: { shopDomain: shop }
+      }
+    });
+
+    if (!mysteryBox) {
+      return res.status(404).json({ error: 'Mystery box not found' });
+    }
+
+    const config = applyConfigOverrides(mysteryBox, overrides);
+    const validation = mysteryBoxService.validateConfiguration({
+      ...config,
+      tiers: config.tiers ? JSON.parse(config.tiers) : undefined
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid mystery box configuration', details: validation.errors });
+    }
+
+    const result = await mysteryBoxService.previewMysteryBox(shop, config, { customerId });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error previewing mystery box:', error);
+    res.status(500).json({ error: 'Failed to preview mystery box' });
+  }
+});
+
+// Simulate many generations of a mystery box against the current product pool (nothing is saved)
+// Body: { iterations, customerId, ...unsaved config edits as for preview }
+router.post('/:id/simulate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shop } = req.query;
+    const { iterations, customerId, ...overrides } = req.body || {};
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    const parsedIterations = iterations !== undefined ? parseInt(iterations) : undefined;
+
+    if (parsedIterations !== undefined && (isNaN(parsedIterations) || parsedIterations < 1 || parsedIterations > mysteryBoxService.MAX_SIMULATION_ITERATIONS)) {
+      return res.status(400).json({
+        error: `iterations must be between 1 and ${mysteryBoxService.MAX_SIMULATION_ITERATIONS}`,
+        received: { iterations }
+      });
+    }
+
+    // Ensure demo shop exists
+    await ensureDemoShop(shop);
+
+    // Verify mystery box exists and belongs to shop
+    const mysteryBox = await prisma.mysteryBox.findFirst({
+      where: { 
+        id: parseInt(id),
+        shop: { shopDomain: shop }
+      }
+    });
+
+    if (!mysteryBox) {
+      return res.status(404).json({ error: 'Mystery box not found' });
+    }
+
+    const config = applyConfigOverrides(mysteryBox, overrides);
+    const validation = mysteryBoxService.validateConfiguration({
+      ...config,
+      tiers: config.tiers ? JSON.parse(config.tiers) : undefined
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid mystery box configuration', details: validation.errors });
+    }
+
+    const simulation = await mysteryBoxService.simulateMysteryBox(shop, config, {
+      iterations: parsedIterations,
+      customerId
+    });
+
+    res.json({ simulation });
+  } catch (error) {
+    console.error('Error simulating mystery box:', error);
+    res.status(500).json({ error: 'Failed to simulate mystery box' });
+  }
+});
+
+// Publish a mystery box as a Shopify product (creates it, or updates the linked one)
+router.post('/:id/publish', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    // Verify mystery box exists and belongs to shop
+    const existingBox = await prisma.mysteryBox.findFirst({
+      where: { 
+        id: parseInt(id),
+        shop: { shopDomain: shop }
+      }
+    });
+
+    if (!existingBox) {
+      return res.status(404).json({ error: 'Mystery box not found' });
+    }
+
+    const mysteryBox = await mysteryBoxService.publishMysteryBox(shop, existingBox);
+
+    res.json({ mysteryBox });
+  } catch (error) {
+    console.error('Error publishing mystery box:', error.message);
+    res.status(502).json({ 
+      error: 'Failed to publish mystery box to Shopify',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Get mystery box statistics (lifecycle counts, value ranges and realized tier odds)
+router.get('/:id/statistics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    // Verify mystery box exists and belongs to shop
+    const existingBox = await prisma.mysteryBox.findFirst({
+      where: { 
+        id: parseInt(id),
+        shop: { shopDomain: shop }
+      }
+    });
+
+    if (!existingBox) {
+      return res.status(404).json({ error: 'Mystery box not found' });
+    }
+
+    const statistics = await mysteryBoxService.getStatistics(shop, id);
+
+    res.json({ statistics });
+  } catch (error) {
+    console.error('Error fetching mystery box statistics:', error);
+    res.status(500).json({ error: 'Failed to fetch mystery box statistics' });
+  }
+});
+
 // Get mystery box instances
 router.get('/:id/instances', async (req, res) => {
   try {
@@ -468,4 +792,48 @@ router.get('/instances/:instanceId', async (req, res) => {
   }
 });
 
+// Map lifecycle error codes to HTTP statuses
+const TRANSITION_ERROR_STATUS = {
+  INSTANCE_NOT_FOUND: 404,
+  INVALID_STATUS: 400,
+  INVALID_TRANSITION: 409,
+  INVENTORY_COMMIT_FAILED: 502
+};
+
+async function transitionInstance(req, res, status) {
+  try {
+    const { instanceId } = req.params;
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'Shop parameter is required' });
+    }
+
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
+    }
+
+    const result = await mysteryBoxService.transitionInstance(shop, instanceId, status);
+
+    res.json(result);
+  } catch (error) {
+    const httpStatus = TRANSITION_ERROR_STATUS[error.code];
+    if (httpStatus) {
+      return res.status(httpStatus).json({ error: error.message, code: error.code, details: error.details });
+    }
+
+    console.error('Error updating mystery box instance status:', error);
+    res.status(500).json({ error: 'Failed to update mystery box instance status' });
+  }
+}
+
+// Move a mystery box instance forward in its lifecycle
+router.post('/instances/:instanceId/status', (req, res) => transitionInstance(req, res, req.body.status));
+
+// Fulfill a mystery box instance (decrements its reserved units in Shopify)
+router.post('/instances/:instanceId/fulfill', (req, res) => transitionInstance(req, res, 'FULFILLED'));
+
+// Cancel a mystery box instance (releases its reserved units)
+router.post('/instances/:instanceId/cancel', (req, res) => transitionInstance(req, res, 'CANCELLED'));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,162 @@
+// Demo Shopify products: the demo store's catalog and the seed of the local fake Shopify
+// (scripts/fake-shopify-server.js). Variant "cost" mirrors the inventory item unit cost.
+const demoProducts = [
+  {
+    id: "7234567890123",
+    title: "Mystery Pack T-Shirt",
+    body_html: "<p>High-quality cotton t-shirt perfect for mystery boxes</p>",
+    vendor: "Pack Peddlers",
+    product_type: "Apparel",
+    tags: "clothing,t-shirt,cotton,mystery,basic",
+    status: "active",
+    variants: [
+      {
+        id: "41234567890123",
+        title: "Small",
+        price: "19.99",
+        compare_at_price: "29.99",
+        inventory_quantity: 25,
+        sku: "TSHIRT-S-001",
+        weight: 200,
+        inventory_item_id: "43234567890123",
+        cost: "7.50"
+      },
+      {
+        id: "41234567890124",
+        title: "Medium",
+        price: "19.99",
+        compare_at_price: "29.99",
+        inventory_quantity: 30,
+        sku: "TSHIRT-M-001",
+        weight: 220,
+        inventory_item_id: "43234567890124",
+        cost: "7.50"
+      }
+    ],
+    images: [
+      {
+        id: "29234567890123",
+        src: "https://via.placeholder.com/300x300/4CAF50/white?text=T-Shirt",
+        alt: "Mystery Pack T-Shirt"
+      }
+    ]
+  },
+  {
+    id: "7234567890124",
+    title: "Premium Hoodie",
+    body_html: "<p>Cozy premium hoodie for cold weather</p>",
+    vendor: "Pack Peddlers",
+    product_type: "Apparel",
+    tags: "clothing,hoodie,premium,winter,warm",
+    status: "active",
+    variants: [
+      {
+        id: "41234567890125",
+        title: "Medium",
+        price: "49.99",
+        compare_at_price: "69.99",
+        inventory_quantity: 15,
+        sku: "HOODIE-M-001",
+        weight: 600,
+        inventory_item_id: "43234567890125",
+        cost: "21.00"
+      }
+    ],
+    images: [
+      {
+        id: "29234567890124",
+        src: "https://via.placeholder.com/300x300/2196F3/white?text=Hoodie",
+        alt: "Premium Hoodie"
+      }
+    ]
+  },
+  {
+    id: "7234567890125",
+    title: "Wireless Earbuds",
+    body_html: "<p>High-quality wireless earbuds with noise cancellation</p>",
+    vendor: "Tech Supplies Co",
+    product_type: "Electronics",
+    tags: "electronics,audio,wireless,earbuds,tech",
+    status: "active",
+    variants: [
+      {
+        id: "41234567890126",
+        title: "Black",
+        price: "89.99",
+        compare_at_price: "129.99",
+        inventory_quantity: 20,
+        sku: "EARBUDS-BLK-001",
+        weight: 50,
+        inventory_item_id: "43234567890126",
+        cost: "42.00"
+      }
+    ],
+    images: [
+      {
+        id: "29234567890125",
+        src: "https://via.placeholder.com/300x300/9C27B0/white?text=Earbuds",
+        alt: "Wireless Earbuds"
+      }
+    ]
+  },
+  {
+    id: "7234567890126",
+    title: "Coffee Mug Set",
+    body_html: "<p>Set of 2 ceramic coffee mugs with unique designs</p>",
+    vendor: "Home Essentials",
+    product_type: "Home & Garden",
+    tags: "home,kitchen,coffee,mug,ceramic,set",
+    status: "active",
+    variants: [
+      {
+        id: "41234567890127",
+        title: "Set of 2",
+        price: "24.99",
+        compare_at_price: "34.99",
+        inventory_quantity: 40,
+        sku: "MUG-SET-001",
+        weight: 800,
+        inventory_item_id: "43234567890127",
+        cost: "9.25"
+      }
+    ],
+    images: [
+      {
+        id: "29234567890126",
+        src: "https://via.placeholder.com/300x300/FF5722/white?text=Mugs",
+        alt: "Coffee Mug Set"
+      }
+    ]
+  },
+  {
+    id: "7234567890127",
+    title: "Phone Case",
+    body_html: "<p>Protective phone case with shock absorption</p>",
+    vendor: "Mobile Accessories",
+    product_type: "Electronics",
+    tags: "electronics,phone,case,protection,mobile",
+    status: "active",
+    variants: [
+      {
+        id: "41234567890128",
+        title: "Clear",
+        price: "12.99",
+        compare_at_price: "19.99",
+        inventory_quantity: 60,
+        sku: "CASE-CLR-001",
+        weight: 30,
+        inventory_item_id: "43234567890128",
+        cost: "3.10"
+      }
+    ],
+    images: [
+      {
+        id: "29234567890127",
+        src: "https://via.placeholder.com/300x300/607D8B/white?text=Case",
+        alt: "Phone Case"
+      }
+    ]
+  }
+];
+
+module.exports = demoProducts;
@@ -1,247 +1,166 @@
 const { PrismaClient } = require('@prisma/client');
+const productCacheService = require('./productCacheService');
+const demoProducts = require('./demoProducts');
 
 const prisma = new PrismaClient();
 
-// Demo Shopify products for testing
-const demoProducts = [
-  {
-    id: "7234567890123",
-    title: "Mystery Pack T-Shirt",
-    body_html: "<p>High-quality cotton t-shirt perfect for mystery boxes</p>",
-    vendor: "Pack Peddlers",
-    product_type: "Apparel",
-    tags: "clothing,t-shirt,cotton,mystery,basic",
-    status: "active",
-    variants: [
-      {
-        id: "41234567890123",
-        title: "Small",
-        price: "19.99",
-        compare_at_price: "29.99",
-        inventory_quantity: 25,
-        sku: "TSHIRT-S-001",
-        weight: 200,
-        inventory_item_id: "43234567890123"
-      },
-      {
-        id: "41234567890124",
-        title: "Medium",
-        price: "19.99",
-        compare_at_price: "29.99",
-        inventory_quantity: 30,
-        sku: "TSHIRT-M-001",
-        weight: 220,
-        inventory_item_id: "43234567890124"
-      }
-    ],
-    images: [
-      {
-        id: "29234567890123",
-        src: "https://via.placeholder.com/300x300/4CAF50/white?text=T-Shirt",
-        alt: "Mystery Pack T-Shirt"
-      }
-    ]
-  },
-  {
-    id: "7234567890124",
-    title: "Premium Hoodie",
-    body_html: "<p>Cozy premium hoodie for cold weather</p>",
-    vendor: "Pack Peddlers",
-    product_type: "Apparel",
-    tags: "clothing,hoodie,premium,winter,warm",
-    status: "active",
-    variants: [
-      {
-        id: "41234567890125",
-        title: "Medium",
-        price: "49.99",
-        compare_at_price: "69.99",
-        inventory_quantity: 15,
-        sku: "HOODIE-M-001",
-        weight: 600,
-        inventory_item_id: "43234567890125"
-      }
-    ],
-    images: [
-      {
-        id: "29234567890124",
-        src: "https://via.placeholder.com/300x300/2196F3/white?text=Hoodie",
-        alt: "Premium Hoodie"
-      }
-    ]
-  },
-  {
-    id: "7234567890125",
-    title: "Wireless Earbuds",
-    body_html: "<p>High-quality wireless earbuds with noise cancellation</p>",
-    vendor: "Tech Supplies Co",
-    product_type: "Electronics",
-    tags: "electronics,audio,wireless,earbuds,tech",
-    status: "active",
-    variants: [
-      {
-        id: "41234567890126",
-        title: "Black",
-        price: "89.99",
-        compare_at_price: "129.99",
-        inventory_quantity: 20,
-        sku: "EARBUDS-BLK-001",
-        weight: 50,
-        inventory_item_id: "43234567890126"
-      }
-    ],
-    images: [
-      {
-        id: "29234567890125",
-        src: "https://via.placeholder.com/300x300/9C27B0/white?text=Earbuds",
-        alt: "Wireless Earbuds"
-      }
-    ]
-  },
-  {
-    id: "7234567890126",
-    title: "Coffee Mug Set",
-    body_html: "<p>Set of 2 ceramic coffee mugs with unique designs</p>",
-    vendor: "Home Essentials",
-    product_type: "Home & Garden",
-    tags: "home,kitchen,coffee,mug,ceramic,set",
-    status: "active",
-    variants: [
-      {
-        id: "41234567890127",
-        title: "Set of 2",
-        price: "24.99",
-        compare_at_price: "34.99",
-        inventory_quantity: 40,
-        sku: "MUG-SET-001",
-        weight: 800,
-        inventory_item_id: "43234567890127"
-      }
-    ],
-    images: [
-      {
-        id: "29234567890126",
-        src: "https://via.placeholder.com/300x300/FF5722/white?text=Mugs",
-        alt: "Coffee Mug Set"
-      }
-    ]
-  },
-  {
-    id: "7234567890127",
-    title: "Phone Case",
-    body_html: "<p>Protective phone case with shock absorption</p>",
-    vendor: "Mobile Accessories",
-    product_type: "Electronics",
-    tags: "electronics,phone,case,protection,mobile",
-    status: "active",
-    variants: [
-      {
-        id: "41234567890128",
-        title: "Clear",
-        price: "12.99",
-        compare_at_price: "19.99",
-        inventory_quantity: 60,
-        sku: "CASE-CLR-001",
-        weight: 30,
-        inventory_item_id: "43234567890128"
-      }
-    ],
-    images: [
-      {
-        id: "29234567890127",
-        src: "https://via.placeholder.com/300x300/607D8B/white?text=Case",
-        alt: "Phone Case"
-      }
-    ]
-  }
-];
+const DEMO_SHOP_DOMAIN = 'pack-peddlers-demo.myshopify.com';
+
+// The demo store's single location
+const DEMO_LOCATION_ID = 'demo-location';
+
+const DEMO_SHOP_INFO = {
+  shopName: 'Pack Peddlers Demo Store',
+  email: 'demo@packpeddlers.com',
+  currency: 'USD',
+  timezone: 'America/New_York'
+};
+
+// Mystery box products "published" to the demo store, keyed by product ID
+const publishedProducts = new Map();
+let lastProductId = 0;
+
+// The demo store's stock at its single location, by inventory item ID; items not listed
+// still have their demoProducts quantity
+const demoStock = new Map();
 
+function demoAvailable(inventoryItemId) {
+  const key = inventoryItemId.toString();
+  if (demoStock.has(key)) return demoStock.get(key);
+
+  const variant = demoProducts
+    .flatMap(product => product.variants)
+    .find(v => v.inventory_item_id === key);
+
+  return variant?.inventory_quantity || 0;
+}
+
+// A demo product with its variants' current stock
+function withDemoStock(product) {
+  return {
+    ...product,
+    variants: product.variants.map(variant => ({
+      ...variant,
+      inventory_quantity: demoAvailable(variant.inventory_item_id)
+    }))
+  };
+}
+
+// Numeric IDs like Shopify's; the variant and inventory item IDs derive from the product ID
+// so they stay the same across updates
+function nextProductId() {
+  lastProductId = Math.max(Date.now(), lastProductId + 1);
+  return lastProductId;
+}
+
+function buildImages(productId, images) {
+  return images.map((image, index) => ({ ...image, id: productId * 100 + 10 + index, product_id: productId }));
+}
+
+function buildPublishedProduct(productId, productData = {}) {
+  const id = Number(productId);
+  const now = new Date().toISOString();
+  const { variants = [], images = [], ...fields } = productData;
+
+  return {
+    status: 'active',
+    tags: '',
+    ...fields,
+    id,
+    created_at: now,
+    updated_at: now,
+    variants: [{
+      title: 'Default Title',
+      price: '0.00',
+      inventory_quantity: 0,
+      ...variants[0],
+      id: id * 100 + 1,
+      product_id: id,
+      inventory_item_id: id * 100 + 2
+    }],
+    images: buildImages(id, images)
+  };
+}
+
+// Store adapter for the demo shop: the catalog is the fixed demoProducts list, store writes
+// (products, inventory) are kept in memory and show up in the next sync
 class DemoShopifyService {
-  // Simulate product sync for demo purposes
-  static async syncProducts(shop, accessToken) {
+  constructor(shop = DEMO_SHOP_DOMAIN) {
+    this.shop = shop;
+  }
+
+  async getShopRecord() {
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: this.shop }
+    });
+
+    if (!shopData) {
+      throw new Error('Shop not found');
+    }
+
+    return shopData;
+  }
+
+  async getShopInfo() {
+    const shopData = await this.getShopRecord();
+    return {
+      name: shopData.shopName,
+      email: shopData.email,
+      currency: shopData.currency,
+      timezone: shopData.timezone,
+      myshopify_domain: this.shop
+    };
+  }
+
+  // The demo store never revokes access
+  async verifyAccess() {
+    return true;
+  }
+
+  async getProducts({ limit = 250 } = {}) {
+    return demoProducts.slice(0, limit).map(withDemoStock);
+  }
+
+  // Cache the demo catalog (always a full sync: the catalog is tiny)
+  async syncProducts(options = {}) {
     try {
-      console.log(`🔄 Demo: Syncing products for ${shop}...`);
-      
-      // Find or create demo shop
-      let shopData = await prisma.shop.findUnique({
-        where: { shopDomain: shop }
-      });
+      console.log(`🔄 Demo: Syncing products for ${this.shop}...`);
 
-      if (!shopData) {
-        shopData = await prisma.shop.create({
-          data: {
-            shopDomain: shop,
-            accessToken: accessToken || 'demo_token',
-            shopName: 'Pack Peddlers Demo Store',
-            email: 'demo@packpeddlers.com',
-            currency: 'USD',
-            timezone: 'America/New_York'
-          }
-        });
-      }
+      const shopData = await this.getShopRecord();
 
       let created = 0;
       let updated = 0;
 
-      // Cache demo products
-      for (const product of demoProducts) {
-        const existingProduct = await prisma.productCache.findFirst({
-          where: {
-            shopId: shopData.id,
-            shopifyProductId: product.id.toString()
-          }
-        });
-
-        const productData = {
-          shopifyProductId: product.id.toString(),
-          title: product.title,
-          description: product.body_html || '',
-          vendor: product.vendor || '',
-          productType: product.product_type || '',
-          tags: JSON.stringify(product.tags ? product.tags.split(',').map(t => t.trim()) : []),
-          status: product.status,
-          price: parseFloat(product.variants[0]?.price || 0),
-          compareAtPrice: parseFloat(product.variants[0]?.compare_at_price || 0),
-          inventoryQuantity: product.variants.reduce((sum, v) => sum + (v.inventory_quantity || 0), 0),
-          variants: JSON.stringify(product.variants.map(v => ({
-            id: v.id,
-            title: v.title,
-            price: v.price,
-            compareAtPrice: v.compare_at_price,
-            inventoryQuantity: v.inventory_quantity,
-            sku: v.sku,
-            weight: v.weight,
-            inventoryItemId: v.inventory_item_id
-          }))),
-          images: JSON.stringify(product.images.map(img => ({
-            id: img.id,
-            src: img.src,
-            alt: img.alt
-          }))),
-          shopId: shopData.id
-        };
-
-        if (existingProduct) {
-          await prisma.productCache.update({
-            where: { id: existingProduct.id },
-            data: { ...productData, updatedAt: new Date() }
-          });
-          updated++;
-        } else {
-          await prisma.productCache.create({
-            data: productData
-          });
+      for (const [index, product] of demoProducts.entries()) {
+        if (options.onProgress) {
+          await options.onProgress({ totalCount: demoProducts.length, processedCount: index, syncedCount: index, errorCount: 0 });
+        }
+
+        const result = await productCacheService.upsertProduct(shopData.id, withDemoStock(product));
+        if (result.created) {
           created++;
+        } else {
+          updated++;
         }
       }
 
+      if (options.onProgress) {
+        await options.onProgress({ totalCount: demoProducts.length, processedCount: demoProducts.length, syncedCount: demoProducts.length, errorCount: 0 });
+      }
+
       console.log(`✅ Demo sync complete: ${created} created, ${updated} updated`);
 
       return {
+        success: true,
+        mode: 'full',
+        since: null,
+        syncedCount: demoProducts.length,
+        deletedCount: 0,
+        errorCount: 0,
         totalProducts: demoProducts.length,
+        errors: [],
         created,
-        updated,
-        pages: 1
+        updated
       };
 
     } catch (error) {
@@ -250,25 +169,86 @@ class DemoShopifyService {
     }
   }
 
-  // Create demo shop for testing
+  async refreshProduct(productId) {
+    const product = demoProducts.find(p => p.id === productId.toString());
+    if (!product) {
+      throw new Error(`Demo product not found: ${productId}`);
+    }
+
+    const shopData = await this.getShopRecord();
+    return productCacheService.upsertProduct(shopData.id, withDemoStock(product));
+  }
+
+  // Mystery box products are kept in memory for the demo store, in the live adapter's shape
+  async createProduct(productData) {
+    const product = buildPublishedProduct(nextProductId(), productData);
+    publishedProducts.set(product.id, product);
+    return product;
+  }
+
+  // Top-level fields are replaced; the variant keeps its ID (products published before a
+  // restart are rebuilt from their ID)
+  async updateProduct(productId, productData) {
+    const product = publishedProducts.get(Number(productId)) || buildPublishedProduct(productId);
+    const { variants, images, id, ...fields } = productData;
+
+    Object.assign(product, fields, { updated_at: new Date().toISOString() });
+
+    for (const change of variants || []) {
+      const variant = product.variants.find(v => v.id === Number(change.id));
+      if (variant) Object.assign(variant, change, { id: variant.id });
+    }
+
+    if (images) {
+      product.images = buildImages(product.id, images);
+    }
+
+    publishedProducts.set(product.id, product);
+    return product;
+  }
+
+  async getPrimaryLocationId() {
+    return DEMO_LOCATION_ID;
+  }
+
+  async getInventoryLevel(inventoryItemId) {
+    return demoAvailable(inventoryItemId);
+  }
+
+  // Only the demo store's stock changes; the caller keeps the cache in step, as with the live store
+  async updateInventoryLevel(inventoryItemId, locationId, available) {
+    demoStock.set(inventoryItemId.toString(), available);
+    return { inventory_level: { inventory_item_id: inventoryItemId, location_id: locationId, available } };
+  }
+
+  async adjustInventoryLevel(inventoryItemId, locationId, adjustment) {
+    const available = demoAvailable(inventoryItemId) + adjustment;
+    demoStock.set(inventoryItemId.toString(), available);
+    return { inventory_level: { inventory_item_id: inventoryItemId, location_id: locationId, available } };
+  }
+
+  // The demo store sends no webhooks
+  async registerWebhooks() {
+    return [];
+  }
+
+  async getWebhooks() {
+    return [];
+  }
+
+  // Create (or refresh) the demo shop record
   static async createDemoShop() {
     try {
       const demoShop = await prisma.shop.upsert({
-        where: { shopDomain: 'pack-peddlers-demo.myshopify.com' },
+        where: { shopDomain: DEMO_SHOP_DOMAIN },
         update: {
-          shopName: 'Pack Peddlers Demo Store',
-          email: 'demo@packpeddlers.com',
-          currency: 'USD',
-          timezone: 'America/New_York',
+          ...DEMO_SHOP_INFO,
           updatedAt: new Date()
         },
         create: {
-          shopDomain: 'pack-peddlers-demo.myshopify.com',
+          shopDomain: DEMO_SHOP_DOMAIN,
           accessToken: 'demo_access_token',
-          shopName: 'Pack Peddlers Demo Store',
-          email: 'demo@packpeddlers.com',
-          currency: 'USD',
-          timezone: 'America/New_York'
+          ...DEMO_SHOP_INFO
         }
       });
 
@@ -281,4 +261,7 @@ class DemoShopifyService {
   }
 }
 
-module.exports = DemoShopifyService;
\ No newline at end of file
+DemoShopifyService.DEMO_SHOP_DOMAIN = DEMO_SHOP_DOMAIN;
+DemoShopifyService.demoProducts = demoProducts;
+
+module.exports = DemoShopifyService;
@@ -0,0 +1,230 @@
+const { PrismaClient } = require('@prisma/client');
+const storeAdapterService = require('./storeAdapterService');
+
+const prisma = new PrismaClient();
+
+// Reservation ledger statuses
+const HELD = 'HELD';
+const RELEASED = 'RELEASED';
+const COMMITTED = 'COMMITTED';
+// Claimed by a commit: Shopify is being (or has been) decremented, the ledger not yet updated
+const COMMITTING = 'COMMITTING';
+// Units still counted against availability (the cache is only decremented when a commit finishes)
+const HOLDING_STATUSES = [HELD, COMMITTING];
+
+class InventoryReservationService {
+  // Get units currently held by pending box instances, keyed by product and by variant
+  static async getHeldQuantities(shopId, client = prisma) {
+    const reservations = await client.inventoryReservation.findMany({
+      where: { shopId, status: { in: HOLDING_STATUSES } },
+      select: { shopifyProductId: true, shopifyVariantId: true, quantity: true }
+    });
+
+    const byProduct = new Map();
+    const byVariant = new Map();
+
+    for (const reservation of reservations) {
+      byProduct.set(
+        reservation.shopifyProductId,
+        (byProduct.get(reservation.shopifyProductId) || 0) + reservation.quantity
+      );
+      if (reservation.shopifyVariantId) {
+        byVariant.set(
+          reservation.shopifyVariantId,
+          (byVariant.get(reservation.shopifyVariantId) || 0) + reservation.quantity
+        );
+      }
+    }
+
+    return { byProduct, byVariant };
+  }
+
+  // Throw an INVENTORY_CONFLICT error if any selected product no longer has an unheld unit
+  // Must run inside the serializable transaction that creates the reservations
+  static async assertAvailable(tx, shopId, boxProducts) {
+    const productIds = [...new Set(boxProducts.map(p => p.shopifyProductId))];
+
+    const cachedProducts = await tx.productCache.findMany({
+      where: { shopId, shopifyProductId: { in: productIds } },
+      select: {
+        shopifyProductId: true,
+        inventoryQuantity: true,
+        variants: { select: { shopifyVariantId: true, inventoryQuantity: true } }
+      }
+    });
+    const held = await this.getHeldQuantities(shopId, tx);
+
+    for (const boxProduct of boxProducts) {
+      const cached = cachedProducts.find(p => p.shopifyProductId === boxProduct.shopifyProductId);
+      const heldForProduct = held.byProduct.get(boxProduct.shopifyProductId) || 0;
+
+      if (!cached || cached.inventoryQuantity - heldForProduct < 1) {
+        throw this.conflictError(`No unreserved inventory left for product ${boxProduct.shopifyProductId}`);
+      }
+
+      const variantId = boxProduct.selectedVariant?.id?.toString();
+      if (variantId) {
+        const variant = cached.variants.find(v => v.shopifyVariantId === variantId);
+        const heldForVariant = held.byVariant.get(variantId) || 0;
+
+        if (variant && variant.inventoryQuantity - heldForVariant < 1) {
+          throw this.conflictError(`No unreserved inventory left for variant ${variantId}`);
+        }
+      }
+    }
+  }
+
+  // Hold one unit of each selected product for a box instance
+  static async reserve(tx, shopId, boxInstanceId, boxProducts) {
+    for (const boxProduct of boxProducts) {
+      const variant = boxProduct.selectedVariant;
+
+      await tx.inventoryReservation.create({
+        data: {
+          shopId,
+          boxInstanceId,
+          shopifyProductId: boxProduct.shopifyProductId,
+          shopifyVariantId: variant?.id ? variant.id.toString() : null,
+          inventoryItemId: variant?.inventoryItemId ? variant.inventoryItemId.toString() : null,
+          quantity: 1,
+          status: HELD
+        }
+      });
+    }
+  }
+
+  // Release the holds of a cancelled instance so the units can go into other boxes
+  static async releaseForInstance(boxInstanceId) {
+    const result = await prisma.inventoryReservation.updateMany({
+      where: { boxInstanceId, status: HELD },
+      data: { status: RELEASED, releasedAt: new Date() }
+    });
+
+    return { released: result.count };
+  }
+
+  // Decrement Shopify inventory at the primary location for every unit held by a fulfilled instance
+  // Each reservation is claimed (HELD -> COMMITTING) before Shopify is adjusted, so concurrent or
+  // retried commits never decrement the same unit twice. The claim is undone only when the adjust
+  // itself fails; a reservation left COMMITTING (its ledger write failed) is finalized by the
+  // next retry without adjusting Shopify again. Reservations that fail stay HELD so fulfillment
+  // can be retried.
+  static async commitForInstance(shop, boxInstanceId) {
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      throw new Error('Shop not found');
+    }
+
+    const reservations = await prisma.inventoryReservation.findMany({
+      where: { boxInstanceId, status: { in: HOLDING_STATUSES } }
+    });
+
+    if (reservations.length === 0) {
+      return { committed: 0, failed: [] };
+    }
+
+    const store = storeAdapterService.forShop(shopData);
+    const locationId = await store.getPrimaryLocationId();
+
+    let committed = 0;
+    const failed = [];
+
+    for (const reservation of reservations) {
+      try {
+        if (!reservation.inventoryItemId) {
+          throw new Error('No inventory item recorded for this reservation');
+        }
+
+        if (reservation.status === HELD) {
+          const { count } = await prisma.inventoryReservation.updateMany({
+            where: { id: reservation.id, status: HELD },
+            data: { status: COMMITTING }
+          });
+
+          // Claimed by a concurrent commit (or released meanwhile)
+          if (count === 0) continue;
+
+          try {
+            // Relative, so a sale or restock landing meanwhile is not overwritten
+            await store.adjustInventoryLevel(reservation.inventoryItemId, locationId, -reservation.quantity);
+          } catch (error) {
+            await prisma.inventoryReservation.updateMany({
+              where: { id: reservation.id, status: COMMITTING },
+              data: { status: HELD }
+            });
+            throw error;
+          }
+        }
+
+        if (await this.finalizeCommit(shopData.id, reservation, locationId)) {
+          committed++;
+        }
+      } catch (error) {
+        console.error(`Failed to commit reservation ${reservation.id}:`, error.response?.data || error.message);
+        failed.push({
+          reservationId: reservation.id,
+          shopifyProductId: reservation.shopifyProductId,
+          shopifyVariantId: reservation.shopifyVariantId,
+          error: error.message
+        });
+      }
+    }
+
+    return { committed, failed };
+  }
+
+  // Mark a claimed reservation COMMITTED and take its units out of the cache, including the
+  // level at the location Shopify was decremented at
+  // Returns false when another commit already finalized it
+  static async finalizeCommit(shopId, reservation, locationId) {
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.inventoryReservation.updateMany({
+        where: { id: reservation.id, status: COMMITTING },
+        data: { status: COMMITTED, committedAt: new Date() }
+      });
+
+      if (count === 0) return false;
+
+      // Keep the cache honest until the next sync or inventory webhook arrives
+      await tx.productCache.updateMany({
+        where: { shopId, shopifyProductId: reservation.shopifyProductId },
+        data: { inventoryQuantity: { decrement: reservation.quantity } }
+      });
+      await tx.productVariant.updateMany({
+        where: {
+          inventoryItemId: reservation.inventoryItemId,
+          product: { shopId, shopifyProductId: reservation.shopifyProductId }
+        },
+        data: { inventoryQuantity: { decrement: reservation.quantity } }
+      });
+      await tx.inventoryLevel.updateMany({
+        where: {
+          locationId: locationId.toString(),
+          variant: {
+            inventoryItemId: reservation.inventoryItemId,
+            product: { shopId, shopifyProductId: reservation.shopifyProductId }
+          }
+        },
+        data: { available: { decrement: reservation.quantity } }
+      });
+
+      return true;
+    });
+  }
+
+  static conflictError(message) {
+    const error = new Error(message);
+    error.code = 'INVENTORY_CONFLICT';
+    return error;
+  }
+
+  // Lost a race for the last units, or Postgres aborted the serializable transaction
+  static isConflict(error) {
+    return error.code === 'INVENTORY_CONFLICT' || error.code === 'P2034';
+  }
+}
+
+module.exports = InventoryReservationService;
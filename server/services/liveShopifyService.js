@@ -1,48 +1,59 @@
-const axios = require('axios');
-const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
+const productCacheService = require('./productCacheService');
+const ShopifyClient = require('./shopifyClient');
+const tokenEncryptionService = require('./tokenEncryptionService');
+const oauthService = require('./oauthService');
+const { isValidHmac, webhookSecret } = require('../middleware/verifyWebhook');
 
 const prisma = new PrismaClient();
 
+// Topics registered by registerWebhooks (each is served under /api/webhooks/<topic>)
+const WEBHOOK_TOPICS = [
+  'app/uninstalled',
+  'products/create',
+  'products/update',
+  'products/delete',
+  'inventory_levels/update',
+  'orders/create'
+];
+
+// Cached products deleted per query when removing products deleted in Shopify
+const DELETE_BATCH_SIZE = 1000;
+
 class LiveShopifyService {
   constructor(shop, accessToken) {
     this.shop = shop;
     this.accessToken = accessToken;
-    this.apiVersion = '2023-10';
-    this.baseURL = `https://${shop}/admin/api/${this.apiVersion}`;
+    this.apiVersion = ShopifyClient.DEFAULT_API_VERSION;
+    this.client = new ShopifyClient(shop, accessToken, { apiVersion: this.apiVersion });
   }
 
-  // Static method to create OAuth URL for app installation
-  static getInstallUrl(shop) {
-    const apiKey = process.env.SHOPIFY_API_KEY;
-    const redirectUri = `${process.env.HOST}/api/auth/callback`;
-    const scopes = 'read_products,write_products,read_inventory,write_inventory,read_orders,write_orders';
-    const state = crypto.randomBytes(16).toString('hex');
-
-    // In production, store state in Redis or database for verification
-    const params = new URLSearchParams({
-      client_id: apiKey,
-      scope: scopes,
-      redirect_uri: redirectUri,
-      state
+  // Static method to create OAuth URL for app installation (the state is stored for the callback)
+  static async getInstallUrl(shop) {
+    return oauthService.beginInstall(shop, {
+      redirectUri: `${process.env.HOST}/api/auth/callback`,
+      scopes: 'read_products,write_products,read_inventory,write_inventory,read_orders,write_orders'
     });
-
-    return `https://${shop}/admin/oauth/authorize?${params.toString()}`;
   }
 
   // Exchange authorization code for access token
   static async exchangeCodeForToken(shop, code) {
-    try {
-      const response = await axios.post(`https://${shop}/admin/oauth/access_token`, {
-        client_id: process.env.SHOPIFY_API_KEY,
-        client_secret: process.env.SHOPIFY_API_SECRET,
-        code
-      });
+    return oauthService.exchangeCodeForToken(shop, code);
+  }
+
+  // Shop details (name, email, currency, timezone, ...)
+  async getShopInfo() {
+    const response = await this.makeRequest('GET', '/shop.json');
+    return response.shop;
+  }
 
-      return response.data.access_token;
+  // Check the access token is still accepted
+  async verifyAccess() {
+    try {
+      await this.client.get('/shop.json');
+      return true;
     } catch (error) {
-      console.error('Error exchanging code for token:', error.response?.data || error.message);
-      throw new Error('Failed to get access token');
+      return false;
     }
   }
 
@@ -64,58 +75,74 @@ class LiveShopifyService {
   }
 
   // Get products with pagination
-  async getAllProducts() {
-    let allProducts = [];
-    let hasNextPage = true;
-    let pageInfo = null;
-
+  // filters (e.g. updated_at_min, fields) apply to the first page; later pages follow page_info, which carries them
+  // A failed page fails the whole listing rather than returning a partial catalog
+  async getAllProducts(filters = {}) {
     console.log(`🔍 Fetching products from Shopify store: ${this.shop}`);
 
-    while (hasNextPage) {
-      try {
-        const params = {
-          limit: 250
-          // Remove status filter to get ALL products (active, draft, archived)
-        };
+    // No status filter, so active, draft and archived products are all returned
+    const allProducts = await this.client.paginate('/products.json', 'products', { limit: 250, ...filters });
 
-        if (pageInfo) {
-          params.page_info = pageInfo;
-        }
+    console.log(`✅ Total products fetched: ${allProducts.length}`);
+    return allProducts;
+  }
 
-        console.log(`📡 Making API request to /products.json with params:`, params);
-        const response = await this.makeRequest('GET', '/products.json', null, params);
-        
-        console.log(`📦 Received ${response.products?.length || 0} products in this batch`);
-        console.log(`🔍 Sample product titles:`, response.products?.slice(0, 3).map(p => p.title) || []);
-        
-        allProducts = allProducts.concat(response.products || []);
+  // Count of every product in the store, in any status
+  async getProductCount() {
+    const response = await this.makeRequest('GET', '/products/count.json');
+    return response.count;
+  }
 
-        // Check for pagination
-        const linkHeader = response.headers?.link;
-        hasNextPage = linkHeader && linkHeader.includes('rel="next"');
-        
-        if (hasNextPage) {
-          // Extract page_info from link header
-          const nextMatch = linkHeader.match(/<[^>]*[?&]page_info=([^&>]+)/);
-          pageInfo = nextMatch ? nextMatch[1] : null;
-          hasNextPage = !!pageInfo;
-          console.log(`➡️ Has next page, page_info: ${pageInfo}`);
-        }
+  // IDs of every product in the store, or null when the listing came back incomplete
+  // Pass an already fetched full catalog to check it instead of listing IDs again
+  async getAllProductIds(products = null) {
+    const listed = products || await this.getAllProducts({ fields: 'id' });
+    const count = await this.getProductCount();
 
-      } catch (error) {
-        console.error('❌ Error in pagination:', error.response?.data || error.message);
-        break;
-      }
+    if (listed.length !== count) {
+      console.warn(`⚠️ Listed ${listed.length} of ${count} product IDs, skipping deletion detection`);
+      return null;
     }
 
-    console.log(`✅ Total products fetched: ${allProducts.length}`);
-    return allProducts;
+    return new Set(listed.map(p => p.id.toString()));
+  }
+
+  // Drop cached products that no longer exist in Shopify
+  // The difference is taken here and deleted in chunks: a NOT IN over the whole catalog would
+  // exceed Postgres's bind parameter limit on large stores
+  async removeDeletedProducts(shopId, productIds) {
+    if (!productIds) return 0;
+
+    const cached = await prisma.productCache.findMany({
+      where: { shopId },
+      select: { shopifyProductId: true }
+    });
+    const deletedIds = cached
+      .map(p => p.shopifyProductId)
+      .filter(id => !productIds.has(id));
+
+    let removed = 0;
+    for (let i = 0; i < deletedIds.length; i += DELETE_BATCH_SIZE) {
+      const result = await prisma.productCache.deleteMany({
+        where: { shopId, shopifyProductId: { in: deletedIds.slice(i, i + DELETE_BATCH_SIZE) } }
+      });
+      removed += result.count;
+    }
+
+    if (removed > 0) {
+      console.log(`🗑️ Removed ${removed} products deleted in Shopify`);
+    }
+
+    return removed;
   }
 
   // Sync products to local database
-  async syncProducts() {
-    const deploymentTimestamp = new Date().toISOString();
-    console.log(`🚀 Starting syncProducts() - Deployment: ${deploymentTimestamp}`);
+  // Incremental by default: only products updated since the shop's last clean sync are fetched,
+  // and deletions are found by comparing product IDs. options.full re-fetches the whole catalog.
+  // options.onProgress({ totalCount, processedCount, syncedCount, errorCount }) is awaited before each product
+  async syncProducts(options = {}) {
+    const startedAt = new Date();
+    console.log(`🚀 Starting syncProducts() at ${startedAt.toISOString()}`);
     
     try {
       console.log(`🔄 Starting product sync for shop: ${this.shop}`);
@@ -124,30 +151,44 @@ class LiveShopifyService {
       const shopRecord = await prisma.shop.upsert({
         where: { shopDomain: this.shop },
         update: { 
-          accessToken: this.accessToken,
           isActive: true
         },
         create: {
           shopDomain: this.shop,
           shopName: this.shop,
-          accessToken: this.accessToken,
+          accessToken: tokenEncryptionService.encrypt(this.accessToken),
           isActive: true
         }
       });
 
-      // Get all products from Shopify
-      const shopifyProducts = await this.getAllProducts();
-      console.log(`📦 Found ${shopifyProducts.length} products in Shopify`);
+      const since = options.full ? null : shopRecord.productsSyncedAt;
+      const mode = since ? 'incremental' : 'full';
+
+      // Get changed (or all) products from Shopify
+      const shopifyProducts = await this.getAllProducts(since ? { updated_at_min: since.toISOString() } : {});
+      console.log(`📦 Found ${shopifyProducts.length} ${since ? `products updated since ${since.toISOString()}` : 'products in Shopify'}`);
 
       let syncedCount = 0;
       let errorCount = 0;
       const detailedErrors = []; // Track detailed errors for debugging
 
+      // Unit costs live on inventory items, not on the product payload
+      const inventoryItemIds = shopifyProducts.flatMap(p => (p.variants || []).map(v => v.inventory_item_id)).filter(Boolean);
+      const costs = await this.getInventoryItemCosts(inventoryItemIds);
+      const levels = await this.getInventoryLevelsByItem(inventoryItemIds);
+
       // DEBUG: Only process first 3 products to see detailed errors
       const productsToProcess = shopifyProducts; // Process all products now that sync is working
       console.log(`🔍 Processing all ${productsToProcess.length} products`);
 
-      for (const product of productsToProcess) {
+      const reportProgress = async (processedCount) => {
+        if (options.onProgress) {
+          await options.onProgress({ totalCount: productsToProcess.length, processedCount, syncedCount, errorCount });
+        }
+      };
+
+      for (const [index, product] of productsToProcess.entries()) {
+        await reportProgress(index);
         console.log(`🔍 Processing product: ${product.title} (ID: ${product.id}, Status: ${product.status})`);
         console.log(`📝 Product has ${product.variants?.length || 0} variants`);
         
@@ -168,56 +209,10 @@ class LiveShopifyService {
             continue;
           }
           
-          // Calculate total inventory across all variants
-          const totalInventory = product.variants.reduce((total, v) => total + (v.inventory_quantity || 0), 0);
-          
-          const productData = {
-            shopId: shopRecord.id,
-            shopifyProductId: product.id.toString(),
-            title: product.title || 'Untitled Product',
-            handle: product.handle || product.title?.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-') || 'product',
-            description: product.body_html || null,
-            vendor: product.vendor || null,
-            productType: product.product_type || null,
-            tags: JSON.stringify(product.tags ? product.tags.split(',').map(t => t.trim()) : []),
-            price: parseFloat(primaryVariant?.price || 0),
-            compareAtPrice: primaryVariant?.compare_at_price ? parseFloat(primaryVariant.compare_at_price) : null,
-            costPerItem: null, // Not available from Shopify API
-            inventory: totalInventory,
-            available: totalInventory > 0 && product.status === 'active',
-            imageUrl: product.images?.[0]?.src || null,
-            isActive: product.status === 'active',
-            lastSynced: new Date()
-          };
-
-          // Validate required fields
-          if (!productData.shopId) {
-            throw new Error('Missing required field: shopId');
-          }
-          if (!productData.shopifyProductId) {
-            throw new Error('Missing required field: shopifyProductId');  
-          }
-          if (!productData.title) {
-            throw new Error('Missing required field: title');
-          }
-          if (isNaN(productData.price)) {
-            throw new Error('Invalid price value');
-          }
-
           console.log(`   💾 Saving product data for ${product.title}`);
-          console.log(`   📊 Product data:`, JSON.stringify(productData, null, 2));
-          
+
           try {
-            await prisma.productCache.upsert({
-              where: {
-                shopId_shopifyProductId: {
-                  shopId: shopRecord.id,
-                  shopifyProductId: product.id.toString()
-                }
-              },
-              update: productData,
-              create: productData
-            });
+            await productCacheService.upsertProduct(shopRecord.id, product, { costs, levels });
 
             console.log(`   ✅ Successfully saved product ${product.id} (${product.title})`);
             syncedCount++;
@@ -241,12 +236,30 @@ class LiveShopifyService {
           errorCount++;
         }
       }
+      await reportProgress(productsToProcess.length);
+
+      // Updated-since listings never include deleted products, so compare against every product ID
+      const deletedCount = await this.removeDeletedProducts(
+        shopRecord.id,
+        await this.getAllProductIds(since ? null : shopifyProducts)
+      );
+
+      // Only a clean sync moves the cursor, so failed products are fetched again next time
+      if (errorCount === 0) {
+        await prisma.shop.update({
+          where: { id: shopRecord.id },
+          data: { productsSyncedAt: startedAt }
+        });
+      }
 
-      console.log(`✅ Sync completed: ${syncedCount} products synced, ${errorCount} errors out of ${productsToProcess.length} processed`);
+      console.log(`✅ ${mode} sync completed: ${syncedCount} products synced, ${deletedCount} removed, ${errorCount} errors out of ${productsToProcess.length} processed`);
       
       return {
         success: true,
+        mode,
+        since,
         syncedCount,
+        deletedCount,
         errorCount,
         totalProducts: shopifyProducts.length,
         errors: errorCount > 0 ? detailedErrors.slice(0, 5) : [] // Include up to 5 errors for debugging
@@ -258,6 +271,46 @@ class LiveShopifyService {
     }
   }
 
+  // Re-fetch one product (with its unit costs and inventory levels) into the cache
+  async refreshProduct(productId) {
+    const shopRecord = await prisma.shop.findUnique({
+      where: { shopDomain: this.shop }
+    });
+
+    if (!shopRecord) {
+      throw new Error('Shop not found');
+    }
+
+    const response = await this.makeRequest('GET', `/products/${productId}.json`);
+    const inventoryItemIds = (response.product.variants || []).map(v => v.inventory_item_id).filter(Boolean);
+    const costs = await this.getInventoryItemCosts(inventoryItemIds);
+    const levels = await this.getInventoryLevelsByItem(inventoryItemIds);
+
+    return productCacheService.upsertProduct(shopRecord.id, response.product, { costs, levels });
+  }
+
+  // Get unit costs for inventory items, keyed by inventory item ID (null when no cost is set)
+  // A failed batch fails the call: an empty map would overwrite every cached cost with null
+  async getInventoryItemCosts(inventoryItemIds) {
+    const costs = new Map();
+    const ids = [...new Set(inventoryItemIds.map(id => id.toString()))];
+
+    // The inventory_items endpoint accepts at most 100 IDs per request
+    for (let i = 0; i < ids.length; i += 100) {
+      const batch = ids.slice(i, i + 100);
+      const response = await this.makeRequest('GET', '/inventory_items.json', null, {
+        ids: batch.join(','),
+        limit: 100
+      });
+
+      for (const item of response.inventory_items || []) {
+        costs.set(item.id.toString(), item.cost !== null && item.cost !== undefined ? parseFloat(item.cost) : null);
+      }
+    }
+
+    return costs;
+  }
+
   // Create a product in Shopify (for mystery boxes)
   async createProduct(productData) {
     try {
@@ -272,6 +325,20 @@ class LiveShopifyService {
     }
   }
 
+  // Update a product in Shopify
+  async updateProduct(productId, productData) {
+    try {
+      const response = await this.makeRequest('PUT', `/products/${productId}.json`, {
+        product: { id: productId, ...productData }
+      });
+
+      return response.product;
+    } catch (error) {
+      console.error('Error updating product:', error);
+      throw error;
+    }
+  }
+
   // Update inventory levels
   async updateInventoryLevel(inventoryItemId, locationId, available) {
     try {
@@ -288,6 +355,62 @@ class LiveShopifyService {
     }
   }
 
+  // Change the available quantity by a relative amount; Shopify applies it atomically, so
+  // sales or restocks landing at the same time are not overwritten
+  async adjustInventoryLevel(inventoryItemId, locationId, adjustment) {
+    try {
+      const response = await this.makeRequest('POST', '/inventory_levels/adjust.json', {
+        location_id: locationId,
+        inventory_item_id: inventoryItemId,
+        available_adjustment: adjustment
+      });
+
+      return response;
+    } catch (error) {
+      console.error('Error adjusting inventory:', error);
+      throw error;
+    }
+  }
+
+  // Get per-location available quantities, keyed by inventory item ID
+  // Like costs, a failed batch fails the call rather than clearing the cached levels
+  async getInventoryLevelsByItem(inventoryItemIds) {
+    const levels = new Map();
+    const ids = [...new Set(inventoryItemIds.map(id => id.toString()))];
+
+    // The inventory_levels endpoint accepts at most 50 inventory item IDs per request
+    for (let i = 0; i < ids.length; i += 50) {
+      const batch = ids.slice(i, i + 50);
+      const batchLevels = await this.client.paginate('/inventory_levels.json', 'inventory_levels', {
+        inventory_item_ids: batch.join(','),
+        limit: 250
+      });
+
+      for (const level of batchLevels) {
+        const itemId = level.inventory_item_id.toString();
+        if (!levels.has(itemId)) levels.set(itemId, []);
+        levels.get(itemId).push({ locationId: level.location_id.toString(), available: level.available || 0 });
+      }
+    }
+
+    return levels;
+  }
+
+  // Get available quantity of an inventory item at a location
+  async getInventoryLevel(inventoryItemId, locationId) {
+    try {
+      const response = await this.makeRequest('GET', '/inventory_levels.json', null, {
+        inventory_item_ids: inventoryItemId,
+        location_ids: locationId
+      });
+
+      return response.inventory_levels?.[0]?.available || 0;
+    } catch (error) {
+      console.error('Error getting inventory level:', error);
+      throw error;
+    }
+  }
+
   // Get primary location ID
   async getPrimaryLocationId() {
     try {
@@ -300,34 +423,33 @@ class LiveShopifyService {
     }
   }
 
-  // Make authenticated request to Shopify API
-  async makeRequest(method, endpoint, data = null, params = null) {
-    try {
-      const config = {
-        method,
-        url: `${this.baseURL}${endpoint}`,
-        headers: {
-          'X-Shopify-Access-Token': this.accessToken,
-          'Content-Type': 'application/json'
-        }
-      };
+  // Register the app's webhooks; a topic that fails is logged and skipped
+  async registerWebhooks(webhookUrl) {
+    const registeredWebhooks = [];
 
-      if (data) {
-        config.data = data;
+    for (const topic of WEBHOOK_TOPICS) {
+      try {
+        const response = await this.makeRequest('POST', '/webhooks.json', {
+          webhook: { topic, address: `${webhookUrl}/${topic}`, format: 'json' }
+        });
+        registeredWebhooks.push(response.webhook);
+      } catch (error) {
+        console.error(`Failed to register webhook for ${topic}:`, error.message);
       }
+    }
 
-      if (params) {
-        config.params = params;
-      }
+    return registeredWebhooks;
+  }
 
-      console.log(`🚀 Making Shopify API request: ${method} ${this.baseURL}${endpoint}`);
-      console.log(`🔑 Using access token: ${this.accessToken?.substring(0, 10)}...`);
-      
-      const response = await axios(config);
-      
-      console.log(`✅ Shopify API response status: ${response.status}`);
-      console.log(`📊 Response data keys:`, Object.keys(response.data || {}));
-      
+  async getWebhooks() {
+    const response = await this.makeRequest('GET', '/webhooks.json');
+    return response.webhooks;
+  }
+
+  // Make authenticated request to Shopify API (rate limiting and retries live in ShopifyClient)
+  async makeRequest(method, endpoint, data = null, params = null) {
+    try {
+      const response = await this.client.request(method, endpoint, { data, params });
       return response.data;
     } catch (error) {
       console.error(`❌ Shopify API Error (${method} ${endpoint}):`);
@@ -338,17 +460,9 @@ class LiveShopifyService {
     }
   }
 
-  // Verify webhook (for real-time updates)
+  // Verify webhook (for real-time updates) against the raw request body
   static verifyWebhook(data, hmacHeader) {
-    const calculatedHmac = crypto
-      .createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET)
-      .update(data, 'utf8')
-      .digest('base64');
-
-    return crypto.timingSafeEqual(
-      Buffer.from(calculatedHmac),
-      Buffer.from(hmacHeader)
-    );
+    return isValidHmac(data, hmacHeader, webhookSecret());
   }
 }
 
@@ -0,0 +1,54 @@
+const util = require('util');
+
+const REDACTED = '[REDACTED]';
+
+// Tokens shorter than this are not tracked (demo placeholders like "demo-token" are not secrets)
+const MIN_SECRET_LENGTH = 16;
+
+// Token shapes and fields that must never reach the logs
+const PATTERNS = [
+  // Shopify access tokens (offline, custom app, shared secret, ...)
+  [/\bshp(at|ca|ss|pa|ua)_[A-Za-z0-9]+/g, `shp$1_${REDACTED}`],
+  // Authorization headers (session tokens)
+  [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  // Header and field values: X-Shopify-Access-Token, accessToken, access_token, client_secret
+  [/((?:x-shopify-access-token|access_?token|client_secret)['"]?\s*[:=]\s*['"]?)[^'"\s,}]+/gi, `$1${REDACTED}`]
+];
+
+// Plaintext tokens seen by this process (e.g. after decryption), redacted wherever they appear
+const secrets = new Set();
+
+function registerSecret(secret) {
+  if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) {
+    secrets.add(secret);
+  }
+}
+
+function redact(text) {
+  let result = String(text);
+
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+
+  for (const [pattern, replacement] of PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result;
+}
+
+// Route console output through redact(); objects and errors are formatted first,
+// so tokens nested in them (e.g. axios request headers) are caught too
+function installConsoleRedaction() {
+  if (console.redactionInstalled) return;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redact(util.format(...args)));
+  }
+
+  console.redactionInstalled = true;
+}
+
+module.exports = { redact, registerSecret, installConsoleRedaction, REDACTED };
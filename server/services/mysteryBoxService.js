@@ -1,11 +1,53 @@
-const { PrismaClient } = require('@prisma/client');
-const shopifyService = require('./shopifyService');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const storeAdapterService = require('./storeAdapterService');
+const inventoryReservationService = require('./inventoryReservationService');
+const selectionSolver = require('./selectionSolver');
+const productCacheService = require('./productCacheService');
 
 const prisma = new PrismaClient();
 
+// Attempts before giving up when concurrent generations keep claiming the same units
+const MAX_RESERVATION_ATTEMPTS = 3;
+
+// Allowed BoxInstance lifecycle transitions (FULFILLED and CANCELLED are terminal)
+const INSTANCE_TRANSITIONS = {
+  DRAFT: ['GENERATED', 'CANCELLED'],
+  GENERATED: ['PUBLISHED', 'SOLD', 'CANCELLED'],
+  PUBLISHED: ['SOLD', 'CANCELLED'],
+  SOLD: ['FULFILLED', 'CANCELLED'],
+  FULFILLED: [],
+  CANCELLED: []
+};
+
+// Timestamp stamped when an instance enters each status
+const STATUS_TIMESTAMPS = {
+  GENERATED: 'generatedAt',
+  PUBLISHED: 'publishedAt',
+  SOLD: 'soldAt',
+  FULFILLED: 'fulfilledAt',
+  CANCELLED: 'cancelledAt'
+};
+
+// Rejected products listed in a preview (counts per reason always cover all of them)
+const MAX_PREVIEW_REJECTIONS = 500;
+
+// Monte Carlo simulation defaults
+const DEFAULT_SIMULATION_ITERATIONS = 200;
+const MAX_SIMULATION_ITERATIONS = 1000;
+// A simulation stops early once it has run this long, and hands the event loop back to
+// other requests (and webhook acknowledgements) every SIMULATION_YIELD_MS
+const SIMULATION_TIME_BUDGET_MS = 10000;
+const SIMULATION_YIELD_MS = 20;
+const VALUE_HISTOGRAM_BUCKETS = 10;
+
+// What counts as a repeat when avoiding items a customer already received
+const DEDUPE_MODES = ['product', 'productType'];
+
 class MysteryBoxService {
   // Generate a mystery box instance
-  static async generateMysteryBox(shop, mysteryBoxConfig) {
+  // options.order links the instance to a purchased unit: { orderId, orderName, lineItemId, unitIndex }
+  // options.customerId records the recipient and skips items they received within the box's dedupe window
+  static async generateMysteryBox(shop, mysteryBoxConfig, options = {}) {
     try {
       // Get shop data
       const shopData = await prisma.shop.findUnique({
@@ -16,229 +58,972 @@ class MysteryBoxService {
         throw new Error('Shop not found');
       }
 
-      // Parse filter criteria
-      const includeTags = JSON.parse(mysteryBoxConfig.includeTags || '[]');
-      const excludeTags = JSON.parse(mysteryBoxConfig.excludeTags || '[]');
-      const includeProductTypes = JSON.parse(mysteryBoxConfig.includeProductTypes || '[]');
-      const excludeProductTypes = JSON.parse(mysteryBoxConfig.excludeProductTypes || '[]');
+      // Concurrent generations can race for the same last units; retry with a fresh pool
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this.generateAndReserve(shopData, mysteryBoxConfig, options);
+        } catch (error) {
+          if (attempt < MAX_RESERVATION_ATTEMPTS && inventoryReservationService.isConflict(error)) {
+            console.warn(`Inventory conflict generating mystery box ${mysteryBoxConfig.id} (attempt ${attempt}), retrying`);
+            continue;
+          }
+          throw error;
+        }
+      }
 
-      // Build product filter criteria
-      const whereClause = {
-        shopId: shopData.id,
-        status: 'active',
-        inventoryQuantity: { gt: 0 }, // Only products in stock
-        price: {
-          gte: 0.01 // Exclude free products
+    } catch (error) {
+      console.error('Error generating mystery box:', error);
+      throw error;
+    }
+  }
+
+  // Select products that are not held by other instances and reserve them with the new instance
+  static async generateAndReserve(shopData, mysteryBoxConfig, options) {
+    const { boxProducts, totalValue, totalCost, itemCount } = await this.buildSelection(shopData, mysteryBoxConfig, options);
+
+    // Re-check availability and write the instance with its holds atomically
+    const boxInstance = await prisma.$transaction(async (tx) => {
+      await inventoryReservationService.assertAvailable(tx, shopData.id, boxProducts);
+
+      const instance = await tx.boxInstance.create({
+        data: {
+          mysteryBoxId: mysteryBoxConfig.id,
+          products: JSON.stringify(boxProducts),
+          totalValue,
+          totalCost,
+          itemCount,
+          ...(options.order || {}),
+          customerId: options.customerId ? options.customerId.toString() : null,
+          // Boxes generated for an order are already sold
+          status: options.order ? 'SOLD' : 'GENERATED',
+          generatedAt: new Date(),
+          soldAt: options.order ? new Date() : null
         }
-      };
+      });
+
+      await inventoryReservationService.reserve(tx, shopData.id, instance.id, boxProducts);
+
+      return instance;
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    return {
+      id: boxInstance.id,
+      mysteryBoxId: boxInstance.mysteryBoxId,
+      products: boxProducts,
+      totalValue: boxInstance.totalValue,
+      totalCost: boxInstance.totalCost,
+      itemCount: boxInstance.itemCount,
+      status: boxInstance.status,
+      orderId: boxInstance.orderId,
+      orderName: boxInstance.orderName,
+      lineItemId: boxInstance.lineItemId,
+      unitIndex: boxInstance.unitIndex,
+      customerId: boxInstance.customerId,
+      generatedAt: boxInstance.generatedAt,
+      savings: this.calculateSavings(boxProducts, totalValue)
+    };
+  }
+
+  // Run the filter and selection pipeline without persisting anything
+  // diagnostics (optional) collects the pool size after each filter and every rejected product
+  static async buildSelection(shopData, mysteryBoxConfig, options = {}, diagnostics = null) {
+    const { products, tiers } = await this.getSelectablePool(shopData, mysteryBoxConfig, options, diagnostics);
+    const selectedProducts = this.selectFromPool(products, tiers, mysteryBoxConfig);
+
+    // Calculate totals
+    const totalValue = selectedProducts.reduce((sum, p) => sum + p.price, 0);
+    const totalCost = this.calculateTotalCost(selectedProducts);
+    const itemCount = selectedProducts.length;
+
+    const boxProducts = selectedProducts.map(p => ({
+      shopifyProductId: p.shopifyProductId,
+      title: p.title,
+      price: p.price,
+      compareAtPrice: p.compareAtPrice,
+      costPerItem: p.costPerItem,
+      vendor: p.vendor,
+      productType: p.productType,
+      ...(p.tier ? { tier: p.tier } : {}),
+      images: p.images,
+      selectedVariant: p.variant
+    }));
+
+    return { boxProducts, totalValue, totalCost, itemCount };
+  }
+
+  // Variants a box may draw from right now: matching filters, not held by other instances,
+  // not recently received by the customer and (for tiered boxes) inside some tier
+  static async getSelectablePool(shopData, mysteryBoxConfig, options = {}, diagnostics = null) {
+    const held = await inventoryReservationService.getHeldQuantities(shopData.id);
+    const received = await this.getRecentlyReceived(shopData.id, options.customerId, mysteryBoxConfig);
+    const tiers = this.parseTiers(mysteryBoxConfig);
+
+    const candidates = (await this.getCandidateProducts(shopData, mysteryBoxConfig, diagnostics))
+      .map(candidate => ({
+        ...candidate,
+        availableQuantity: candidate.inventoryQuantity - (candidate.shopifyVariantId
+          ? held.byVariant.get(candidate.shopifyVariantId) || 0
+          : held.byProduct.get(candidate.shopifyProductId) || 0)
+      }));
+
+    const products = this.applyFilters(candidates, [
+      { stage: 'unreserved', test: p => (p.availableQuantity > 0 ? null : 'RESERVED') },
+      { stage: 'notRecentlyReceived', test: p => (this.wasRecentlyReceived(p, received, mysteryBoxConfig.dedupeBy) ? 'RECENTLY_RECEIVED' : null) },
+      ...(tiers.length > 0
+        ? [{ stage: 'tiered', test: p => (tiers.some(t => t.productIds.includes(p.shopifyProductId) || this.matchesTier(p, t)) ? null : 'NO_TIER') }]
+        : [])
+    ], diagnostics);
 
-      // Apply product type filters
-      if (includeProductTypes.length > 0) {
-        whereClause.productType = { in: includeProductTypes };
+    // Mirror the solver's own eligibility rules so the preview can say why products were never picked
+    if (diagnostics) {
+      const costLimit = this.getCostLimit(mysteryBoxConfig);
+      this.applyFilters(products, [
+        { stage: 'selectable', test: p => this.getSelectionRejection(p, mysteryBoxConfig, costLimit) }
+      ], diagnostics);
+    }
+
+    return { products, tiers, held };
+  }
+
+  // Generate mystery box contents using algorithm (tiered boxes fill each tier's rolled slots)
+  static selectFromPool(products, tiers, mysteryBoxConfig, options = {}) {
+    if (tiers.length > 0) {
+      return this.selectTieredProducts(products, tiers, mysteryBoxConfig, options);
+    }
+
+    return this.selectProducts(
+      products,
+      mysteryBoxConfig.minValue,
+      mysteryBoxConfig.maxValue,
+      mysteryBoxConfig.minItems,
+      mysteryBoxConfig.maxItems,
+      { maxCost: this.getCostLimit(mysteryBoxConfig) }
+    );
+  }
+
+  // Dry-run a box configuration: the same pipeline as generation, returning the candidate box and diagnostics
+  // An infeasible configuration is reported in the result instead of thrown
+  static async previewMysteryBox(shop, mysteryBoxConfig, options = {}) {
+    try {
+      const shopData = await prisma.shop.findUnique({
+        where: { shopDomain: shop }
+      });
+
+      if (!shopData) {
+        throw new Error('Shop not found');
       }
-      if (excludeProductTypes.length > 0) {
-        whereClause.productType = { notIn: excludeProductTypes };
+
+      const diagnostics = { stages: [], rejected: [], rejectedCounts: {} };
+      let preview = null;
+      let failure = null;
+
+      try {
+        const selection = await this.buildSelection(shopData, mysteryBoxConfig, options, diagnostics);
+        preview = {
+          ...selection,
+          savings: this.calculateSavings(selection.boxProducts, selection.totalValue),
+          costLimit: this.getCostLimit(mysteryBoxConfig)
+        };
+      } catch (error) {
+        if (error.code !== 'SELECTION_INFEASIBLE') throw error;
+        failure = { error: error.message, reason: error.reason, details: error.details };
       }
 
-      // Get all matching products
-      const allProducts = await prisma.productCache.findMany({
-        where: whereClause
+      const rejectedTotal = diagnostics.rejected.length;
+      diagnostics.rejected = diagnostics.rejected.slice(0, MAX_PREVIEW_REJECTIONS);
+      diagnostics.rejectedTruncated = rejectedTotal > MAX_PREVIEW_REJECTIONS;
+
+      return {
+        feasible: preview !== null,
+        preview: preview && {
+          products: preview.boxProducts,
+          totalValue: preview.totalValue,
+          totalCost: preview.totalCost,
+          itemCount: preview.itemCount,
+          savings: preview.savings,
+          costLimit: preview.costLimit
+        },
+        infeasible: failure,
+        diagnostics
+      };
+
+    } catch (error) {
+      console.error('Error previewing mystery box:', error);
+      throw error;
+    }
+  }
+
+  // Run the selection many times against the current pool to show the spread of outcomes
+  // Nothing is persisted; inventory draw-down assumes every simulated box is sold
+  static async simulateMysteryBox(shop, mysteryBoxConfig, options = {}) {
+    try {
+      const shopData = await prisma.shop.findUnique({
+        where: { shopDomain: shop }
       });
 
-      // Filter by tags (since we store tags as JSON strings)
-      let filteredProducts = allProducts.filter(product => {
+      if (!shopData) {
+        throw new Error('Shop not found');
+      }
+
+      const requestedIterations = options.iterations || DEFAULT_SIMULATION_ITERATIONS;
+      const { products, tiers } = await this.getSelectablePool(shopData, mysteryBoxConfig, options);
+
+      const values = [];
+      const costs = [];
+      const itemCounts = {};
+      const failures = {};
+      const inclusions = new Map();
+      const tierItems = Object.fromEntries(tiers.map(tier => [tier.name, 0]));
+      const startedAt = Date.now();
+      let yieldedAt = startedAt;
+      let iterations = 0;
+
+      while (iterations < requestedIterations) {
+        if (Date.now() - yieldedAt >= SIMULATION_YIELD_MS) {
+          if (Date.now() - startedAt >= SIMULATION_TIME_BUDGET_MS) break;
+          await new Promise(resolve => setImmediate(resolve));
+          yieldedAt = Date.now();
+        }
+
+        iterations++;
+        let selected;
         try {
-          const productTags = JSON.parse(product.tags || '[]');
-          
-          // Check include tags
-          if (includeTags.length > 0) {
-            const hasIncludeTag = includeTags.some(tag => 
-              productTags.some(pTag => pTag.toLowerCase().includes(tag.toLowerCase()))
-            );
-            if (!hasIncludeTag) return false;
-          }
+          selected = this.selectFromPool(products, tiers, mysteryBoxConfig, { quiet: true });
+        } catch (error) {
+          if (error.code !== 'SELECTION_INFEASIBLE') throw error;
+          failures[error.reason] = (failures[error.reason] || 0) + 1;
+          continue;
+        }
+
+        values.push(selected.reduce((sum, p) => sum + p.price, 0));
+        const cost = this.calculateTotalCost(selected);
+        if (cost !== null) costs.push(cost);
+        itemCounts[selected.length] = (itemCounts[selected.length] || 0) + 1;
+
+        for (const product of selected) {
+          const key = this.candidateKey(product);
+          inclusions.set(key, (inclusions.get(key) || 0) + 1);
+          if (product.tier) tierItems[product.tier]++;
+        }
+      }
+
+      const successes = values.length;
+      const failureCount = iterations - successes;
+      const tierOf = new Map();
+      for (const [name, pool] of this.assignTiers(products, tiers)) {
+        for (const product of pool) tierOf.set(product.shopifyProductId, name);
+      }
+
+      const average = list => (list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : 0);
+
+      const productFrequency = products
+        .filter(product => inclusions.has(this.candidateKey(product)))
+        .map(product => {
+          const count = inclusions.get(this.candidateKey(product));
+          const unitsPerBox = count / successes;
+          return {
+            shopifyProductId: product.shopifyProductId,
+            shopifyVariantId: product.shopifyVariantId,
+            title: product.title,
+            variantTitle: product.variantTitle,
+            price: product.price,
+            ...(tierOf.has(product.shopifyProductId) ? { tier: tierOf.get(product.shopifyProductId) } : {}),
+            count,
+            inclusionRate: unitsPerBox,
+            availableQuantity: product.availableQuantity,
+            // Boxes that can be sold before this variant runs out at the simulated rate
+            boxesUntilStockout: Math.floor(product.availableQuantity / unitsPerBox)
+          };
+        })
+        .sort((a, b) => b.count - a.count);
+
+      const drawdown = [...productFrequency].sort((a, b) => a.boxesUntilStockout - b.boxesUntilStockout);
+
+      return {
+        iterations,
+        requestedIterations,
+        // Ran out of time before completing every requested iteration
+        truncated: iterations < requestedIterations,
+        poolSize: products.length,
+        durationMs: Date.now() - startedAt,
+        successes,
+        failures: failureCount,
+        failureRate: iterations > 0 ? failureCount / iterations : 0,
+        failureReasons: failures,
+        averageValue: average(values),
+        averageCost: costs.length === successes ? average(costs) : null,
+        averageItems: successes > 0 ? Object.entries(itemCounts).reduce((sum, [count, n]) => sum + count * n, 0) / successes : 0,
+        valueHistogram: this.buildHistogram(values, mysteryBoxConfig.minValue, mysteryBoxConfig.maxValue, VALUE_HISTOGRAM_BUCKETS),
+        itemCountHistogram: Object.entries(itemCounts)
+          .map(([items, count]) => ({ items: parseInt(items), count }))
+          .sort((a, b) => a.items - b.items),
+        productFrequency,
+        tierFrequency: tiers.length > 0
+          ? tiers.map(tier => ({
+            name: tier.name,
+            averagePerBox: successes > 0 ? tierItems[tier.name] / successes : 0,
+            expectedPerBox: this.expectedTierItems(tiers)[tier.name]
+          }))
+          : null,
+        inventoryDrawdown: {
+          unitsPerBox: successes > 0 ? productFrequency.reduce((sum, p) => sum + p.inclusionRate, 0) : 0,
+          boxesUntilFirstStockout: drawdown.length > 0 ? drawdown[0].boxesUntilStockout : null,
+          firstToSellOut: drawdown.slice(0, 10)
+        }
+      };
+
+    } catch (error) {
+      console.error('Error simulating mystery box:', error);
+      throw error;
+    }
+  }
+
+  // Count values into equal-width buckets spanning [min, max]
+  static buildHistogram(values, min, max, bucketCount) {
+    const width = max > min ? (max - min) / bucketCount : 0;
+    const buckets = Array.from({ length: width > 0 ? bucketCount : 1 }, (_, i) => ({
+      from: width > 0 ? min + i * width : min,
+      to: width > 0 ? min + (i + 1) * width : max,
+      count: 0
+    }));
+
+    for (const value of values) {
+      const index = width > 0 ? Math.min(Math.floor((value - min) / width), buckets.length - 1) : 0;
+      buckets[Math.max(index, 0)].count++;
+    }
+
+    return buckets;
+  }
+
+  // Why the solver would never pick a product for this box, or null if it could
+  static getSelectionRejection(product, mysteryBox, costLimit) {
+    if (product.price > mysteryBox.maxValue) return 'OVER_MAX_VALUE';
+
+    if (costLimit !== null) {
+      if (product.costPerItem === null || product.costPerItem === undefined) return 'UNKNOWN_COST';
+      if (product.costPerItem > costLimit) return 'OVER_COST_LIMIT';
+    }
+
+    return null;
+  }
+
+  // Keep products passing each filter in turn; a filter's test returns a rejection reason or null
+  // With diagnostics, records the pool size after every stage and each rejected product
+  static applyFilters(products, filters, diagnostics = null) {
+    let pool = products;
+
+    for (const { stage, test } of filters) {
+      const kept = [];
+
+      for (const product of pool) {
+        const reason = test(product);
+        if (!reason) {
+          kept.push(product);
+          continue;
+        }
+
+        if (diagnostics) {
+          diagnostics.rejected.push({
+            shopifyProductId: product.shopifyProductId,
+            shopifyVariantId: product.shopifyVariantId,
+            title: product.title,
+            variantTitle: product.variantTitle,
+            price: product.price,
+            stage,
+            reason
+          });
+          diagnostics.rejectedCounts[reason] = (diagnostics.rejectedCounts[reason] || 0) + 1;
+        }
+      }
+
+      if (diagnostics) {
+        diagnostics.stages.push({ stage, poolSize: kept.length });
+      }
+      pool = kept;
+    }
+
+    return pool;
+  }
+
+  // Products and product types a customer got from this shop's boxes within the box's dedupe window
+  // Returns null when there is no customer or the box does not dedupe
+  static async getRecentlyReceived(shopId, customerId, mysteryBox) {
+    if (!customerId || !mysteryBox.dedupeWindowDays) return null;
+
+    const since = new Date(Date.now() - mysteryBox.dedupeWindowDays * 24 * 60 * 60 * 1000);
+
+    const instances = await prisma.boxInstance.findMany({
+      where: {
+        customerId: customerId.toString(),
+        generatedAt: { gte: since },
+        status: { not: 'CANCELLED' },
+        mysteryBox: { shopId }
+      },
+      select: { products: true }
+    });
+
+    const received = { productIds: new Set(), productTypes: new Set() };
+
+    for (const instance of instances) {
+      for (const product of JSON.parse(instance.products || '[]')) {
+        received.productIds.add(product.shopifyProductId);
+        if (product.productType) received.productTypes.add(product.productType);
+      }
+    }
+
+    return received;
+  }
+
+  static wasRecentlyReceived(product, received, dedupeBy) {
+    if (!received) return false;
+
+    if (dedupeBy === 'productType') {
+      return Boolean(product.productType) && received.productTypes.has(product.productType);
+    }
+
+    return received.productIds.has(product.shopifyProductId);
+  }
+
+  // Load in-stock variants matching a mystery box's filters, one candidate per variant
+  static async getCandidateProducts(shopData, mysteryBoxConfig, diagnostics = null) {
+    // Parse filter criteria
+    const includeTags = JSON.parse(mysteryBoxConfig.includeTags || '[]');
+    const excludeTags = JSON.parse(mysteryBoxConfig.excludeTags || '[]');
+    const includeProductTypes = JSON.parse(mysteryBoxConfig.includeProductTypes || '[]');
+    const excludeProductTypes = JSON.parse(mysteryBoxConfig.excludeProductTypes || '[]');
+
+    // Never put a mystery box product inside another mystery box
+    const boxProducts = await prisma.mysteryBox.findMany({
+      where: { shopId: shopData.id, shopifyProductId: { not: null } },
+      select: { shopifyProductId: true }
+    });
+    const boxProductIds = new Set(boxProducts.map(b => b.shopifyProductId));
+
+    // Get the shop's cached catalog; filters run in memory so each stage can be reported
+    const allCandidates = (await prisma.productCache.findMany({
+      where: { shopId: shopData.id },
+      include: productCacheService.PRODUCT_INCLUDE
+    })).flatMap(p => this.toVariantCandidates(productCacheService.formatProduct(p)));
+
+    if (diagnostics) {
+      diagnostics.stages.push({ stage: 'catalog', poolSize: allCandidates.length });
+    }
+
+    const matchesTag = (productTags, tags) => tags.some(tag =>
+      productTags.some(pTag => pTag.toLowerCase().includes(tag.toLowerCase()))
+    );
+
+    return this.applyFilters(allCandidates, [
+      { stage: 'active', test: p => (p.status === 'active' ? null : 'INACTIVE') },
+      { stage: 'inStock', test: p => (p.inventoryQuantity > 0 ? null : 'OUT_OF_STOCK') },
+      { stage: 'priced', test: p => (p.price >= 0.01 ? null : 'FREE') }, // Exclude free products
+      {
+        stage: 'productType',
+        test: p => {
+          if (includeProductTypes.length > 0 && !includeProductTypes.includes(p.productType)) return 'PRODUCT_TYPE_NOT_INCLUDED';
+          if (excludeProductTypes.includes(p.productType)) return 'PRODUCT_TYPE_EXCLUDED';
+          return null;
+        }
+      },
+      { stage: 'notMysteryBox', test: p => (boxProductIds.has(p.shopifyProductId) ? 'MYSTERY_BOX_PRODUCT' : null) },
+      {
+        stage: 'tags',
+        test: p => {
+          if (includeTags.length > 0 && !matchesTag(p.tags, includeTags)) return 'MISSING_INCLUDE_TAG';
+          if (excludeTags.length > 0 && matchesTag(p.tags, excludeTags)) return 'EXCLUDED_TAG';
+          return null;
+        }
+      }
+    ], diagnostics);
+  }
+
+  // Split a cached product into selection candidates that carry their variant's price, cost and stock
+  // Products without cached variants stay a single candidate at the product price
+  static toVariantCandidates(product) {
+    const { variants, ...rest } = product;
+
+    if (variants.length === 0) {
+      return [{ ...rest, shopifyVariantId: null, variantTitle: null, variant: null }];
+    }
+
+    // Per-location levels stay in the cache rather than in generated boxes
+    return variants.map(({ inventoryLevels, ...variant }) => ({
+      ...rest,
+      shopifyVariantId: variant.id,
+      variantTitle: variants.length > 1 ? variant.title : null,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice,
+      costPerItem: variant.costPerItem,
+      inventoryQuantity: variant.inventoryQuantity,
+      variant
+    }));
+  }
+
+  // Variant IDs are unique across a shop; fall back to the product for variant-less candidates
+  static candidateKey(candidate) {
+    return candidate.shopifyVariantId || candidate.shopifyProductId;
+  }
+
+  // Generate one box instance per purchased unit of a mystery box product in a Shopify order
+  static async generateForOrder(shop, order) {
+    try {
+      const shopData = await prisma.shop.findUnique({
+        where: { shopDomain: shop }
+      });
+
+      if (!shopData) {
+        throw new Error('Shop not found');
+      }
+
+      const lineItems = order.line_items || [];
+      const productIds = [...new Set(
+        lineItems.filter(item => item.product_id).map(item => item.product_id.toString())
+      )];
+
+      if (productIds.length === 0) {
+        return [];
+      }
 
-          // Check exclude tags
-          if (excludeTags.length > 0) {
-            const hasExcludeTag = excludeTags.some(tag => 
-              productTags.some(pTag => pTag.toLowerCase().includes(tag.toLowerCase()))
-            );
-            if (hasExcludeTag) return false;
+      const mysteryBoxes = await prisma.mysteryBox.findMany({
+        where: {
+          shopId: shopData.id,
+          shopifyProductId: { in: productIds }
+        }
+      });
+
+      const orderId = order.id.toString();
+      const results = [];
+
+      for (const lineItem of lineItems) {
+        const mysteryBox = this.findMysteryBoxForLineItem(mysteryBoxes, lineItem);
+        if (!mysteryBox) continue;
+
+        const lineItemId = lineItem.id.toString();
+        const quantity = lineItem.quantity || 1;
+
+        for (let unitIndex = 0; unitIndex < quantity; unitIndex++) {
+          // Skip units that already have a box (e.g. Shopify retried the webhook)
+          const existing = await prisma.boxInstance.findFirst({
+            where: { orderId, lineItemId, unitIndex },
+            select: { id: true }
+          });
+
+          if (existing) {
+            results.push({ mysteryBoxId: mysteryBox.id, lineItemId, unitIndex, instanceId: existing.id, skipped: true });
+            continue;
           }
 
-          return true;
-        } catch (e) {
-          // If tags can't be parsed, include the product
-          return true;
+          // The customer already paid, so generate even if the box was deactivated since
+          try {
+            const instance = await this.generateMysteryBox(shop, mysteryBox, {
+              order: { orderId, orderName: order.name || null, lineItemId, unitIndex },
+              customerId: order.customer?.id ? order.customer.id.toString() : null
+            });
+            results.push({ mysteryBoxId: mysteryBox.id, lineItemId, unitIndex, instanceId: instance.id });
+          } catch (error) {
+            console.error(`Failed to generate box for order ${orderId}, line item ${lineItemId} (unit ${unitIndex}):`, error.message);
+            results.push({ mysteryBoxId: mysteryBox.id, lineItemId, unitIndex, error: error.message });
+          }
         }
+      }
+
+      return results;
+
+    } catch (error) {
+      console.error('Error generating mystery boxes for order:', error);
+      throw error;
+    }
+  }
+
+  // Match an order line item to a mystery box (variant link wins over product link)
+  static findMysteryBoxForLineItem(mysteryBoxes, lineItem) {
+    if (!lineItem.product_id) return null;
+
+    const productId = lineItem.product_id.toString();
+    const variantId = lineItem.variant_id ? lineItem.variant_id.toString() : null;
+    const candidates = mysteryBoxes.filter(box => box.shopifyProductId === productId);
+
+    return candidates.find(box => box.shopifyVariantId && box.shopifyVariantId === variantId)
+      || candidates.find(box => !box.shopifyVariantId)
+      || null;
+  }
+
+  // Create or update the Shopify product that sells this mystery box
+  // options.includeImage: false skips re-uploading the image on routine updates
+  static async publishMysteryBox(shop, mysteryBox, options = {}) {
+    try {
+      const shopData = await prisma.shop.findUnique({
+        where: { shopDomain: shop }
       });
 
-      if (filteredProducts.length === 0) {
-        throw new Error('No products match the mystery box criteria');
+      if (!shopData) {
+        throw new Error('Shop not found');
       }
 
-      // Generate mystery box using algorithm
-      const selectedProducts = this.selectProducts(
-        filteredProducts,
-        mysteryBoxConfig.minValue,
-        mysteryBoxConfig.maxValue,
-        mysteryBoxConfig.minItems,
-        mysteryBoxConfig.maxItems
-      );
+      const store = storeAdapterService.forShop(shopData);
+      const productData = this.buildShopifyProduct(mysteryBox, options);
+
+      const product = mysteryBox.shopifyProductId
+        ? await store.updateProduct(mysteryBox.shopifyProductId, productData)
+        : await store.createProduct(productData);
 
-      // Calculate totals
-      const totalValue = selectedProducts.reduce((sum, p) => sum + p.price, 0);
-      const itemCount = selectedProducts.length;
+      const variant = product.variants?.[0];
 
-      // Create box instance
-      const boxInstance = await prisma.boxInstance.create({
+      return await prisma.mysteryBox.update({
+        where: { id: mysteryBox.id },
         data: {
-          mysteryBoxId: mysteryBoxConfig.id,
-          products: JSON.stringify(selectedProducts.map(p => ({
-            shopifyProductId: p.shopifyProductId,
-            title: p.title,
-            price: p.price,
-            compareAtPrice: p.compareAtPrice,
-            vendor: p.vendor,
-            productType: p.productType,
-            images: JSON.parse(p.images || '[]'),
-            selectedVariant: this.selectVariant(JSON.parse(p.variants || '[]'))
-          }))),
-          totalValue,
-          itemCount,
-          generatedAt: new Date()
+          shopifyProductId: product.id.toString(),
+          shopifyVariantId: variant ? variant.id.toString() : mysteryBox.shopifyVariantId,
+          publishedAt: new Date()
         }
       });
 
+    } catch (error) {
+      console.error('Error publishing mystery box:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Build the Shopify product payload for a mystery box
+  static buildShopifyProduct(mysteryBox, options = {}) {
+    const price = mysteryBox.price ?? mysteryBox.minValue;
+    const itemRange = mysteryBox.minItems === mysteryBox.maxItems
+      ? `${mysteryBox.maxItems}`
+      : `${mysteryBox.minItems}-${mysteryBox.maxItems}`;
+
+    const descriptionHtml = [
+      mysteryBox.description ? `<p>${mysteryBox.description}</p>` : null,
+      `<p>Each box contains ${itemRange} items worth $${mysteryBox.minValue.toFixed(2)} - $${mysteryBox.maxValue.toFixed(2)}.</p>`
+    ].filter(Boolean).join('');
+
+    const productData = {
+      title: mysteryBox.name,
+      body_html: descriptionHtml,
+      product_type: 'Mystery Box',
+      tags: 'mystery-box',
+      status: mysteryBox.isActive ? 'active' : 'draft'
+    };
+
+    // New products get their single variant; existing ones only update the linked variant
+    if (!mysteryBox.shopifyProductId) {
+      productData.variants = [{ price: price.toFixed(2), requires_shipping: true, taxable: true }];
+    } else if (mysteryBox.shopifyVariantId) {
+      productData.variants = [{ id: mysteryBox.shopifyVariantId, price: price.toFixed(2) }];
+    }
+
+    if (mysteryBox.imageUrl && options.includeImage !== false) {
+      productData.images = [{ src: mysteryBox.imageUrl, alt: mysteryBox.name }];
+    }
+
+    return productData;
+  }
+
+  // Move a box instance to a new lifecycle status, enforcing the allowed transitions
+  // Fulfilling commits the instance's reserved inventory; cancelling releases it
+  static async transitionInstance(shop, instanceId, toStatus) {
+    try {
+      const instance = await prisma.boxInstance.findFirst({
+        where: { 
+          id: parseInt(instanceId),
+          mysteryBox: { shop: { shopDomain: shop } }
+        }
+      });
+
+      if (!instance) {
+        throw this.lifecycleError('INSTANCE_NOT_FOUND', 'Mystery box instance not found');
+      }
+
+      if (!INSTANCE_TRANSITIONS[toStatus]) {
+        throw this.lifecycleError('INVALID_STATUS', `Unknown status: ${toStatus}`, {
+          statuses: Object.keys(INSTANCE_TRANSITIONS)
+        });
+      }
+
+      const allowed = INSTANCE_TRANSITIONS[instance.status] || [];
+      if (!allowed.includes(toStatus)) {
+        throw this.lifecycleError('INVALID_TRANSITION', `Cannot move instance from ${instance.status} to ${toStatus}`, {
+          from: instance.status,
+          to: toStatus,
+          allowed
+        });
+      }
+
+      // Guard on the current status so concurrent transitions cannot both succeed
+      const timestampField = STATUS_TIMESTAMPS[toStatus];
+      const { count } = await prisma.boxInstance.updateMany({
+        where: { id: instance.id, status: instance.status },
+        data: { status: toStatus, [timestampField]: new Date() }
+      });
+
+      if (count === 0) {
+        throw this.lifecycleError('INVALID_TRANSITION', 'Instance status changed concurrently, reload and try again', {
+          from: instance.status,
+          to: toStatus
+        });
+      }
+
+      let inventory = null;
+
+      if (toStatus === 'FULFILLED') {
+        // Roll back so fulfillment can be retried once Shopify accepts the remaining items
+        // (reservations that were not committed are still HELD)
+        const rollBack = () => prisma.boxInstance.update({
+          where: { id: instance.id },
+          data: { status: instance.status, [timestampField]: null }
+        });
+
+        try {
+          inventory = await inventoryReservationService.commitForInstance(shop, instance.id);
+        } catch (error) {
+          await rollBack();
+          throw this.lifecycleError('INVENTORY_COMMIT_FAILED', `Failed to update Shopify inventory: ${error.message}`, {
+            committed: 0,
+            failed: [],
+            error: error.message
+          });
+        }
+
+        if (inventory.failed.length > 0) {
+          await rollBack();
+          throw this.lifecycleError('INVENTORY_COMMIT_FAILED', 'Failed to update Shopify inventory for some items', inventory);
+        }
+      }
+
+      if (toStatus === 'CANCELLED') {
+        inventory = await inventoryReservationService.releaseForInstance(instance.id);
+      }
+
+      const updated = await prisma.boxInstance.findUnique({
+        where: { id: instance.id }
+      });
+
       return {
-        id: boxInstance.id,
-        mysteryBoxId: boxInstance.mysteryBoxId,
-        products: JSON.parse(boxInstance.products),
-        totalValue: boxInstance.totalValue,
-        itemCount: boxInstance.itemCount,
-        generatedAt: boxInstance.generatedAt,
-        savings: this.calculateSavings(JSON.parse(boxInstance.products), totalValue)
+        instance: { ...updated, products: JSON.parse(updated.products) },
+        inventory
       };
 
     } catch (error) {
-      console.error('Error generating mystery box:', error);
+      console.error('Error transitioning mystery box instance:', error.message);
       throw error;
     }
   }
 
+  static lifecycleError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+  }
+
   // Product selection algorithm
-  static selectProducts(products, minValue, maxValue, minItems, maxItems) {
-    // Sort products by value for better selection
-    const sortedProducts = [...products].sort((a, b) => a.price - b.price);
-    
-    const selected = [];
-    let currentValue = 0;
-    let attempts = 0;
-    const maxAttempts = 1000;
-
-    // Target value range
-    const targetValue = minValue + (Math.random() * (maxValue - minValue));
-    
-    // Target item count
-    const targetItems = minItems + Math.floor(Math.random() * (maxItems - minItems + 1));
-
-    while (selected.length < targetItems && attempts < maxAttempts) {
-      attempts++;
-
-      // Find products that would fit in remaining value budget
-      const remainingValue = targetValue - currentValue;
-      const availableProducts = sortedProducts.filter(p => 
-        !selected.includes(p) && 
-        p.price <= remainingValue &&
-        p.price >= 0.01
-      );
-
-      if (availableProducts.length === 0) break;
-
-      // Select product based on strategy
-      let selectedProduct;
-      
-      if (selected.length < minItems) {
-        // For minimum items, prefer lower-priced products to leave room
-        selectedProduct = availableProducts[Math.floor(Math.random() * Math.min(availableProducts.length, 3))];
-      } else {
-        // For additional items, can select any available product
-        selectedProduct = availableProducts[Math.floor(Math.random() * availableProducts.length)];
-      }
-
-      selected.push(selectedProduct);
-      currentValue += selectedProduct.price;
-
-      // Check if we've hit our value target
-      if (currentValue >= minValue && selected.length >= minItems) {
-        // We have a valid box, but might want to add more if space allows
-        if (currentValue >= targetValue * 0.9 || selected.length >= targetItems) {
-          break;
+  // Returns a random selection strictly inside the value and item bounds, or throws a
+  // SELECTION_INFEASIBLE error whose reason/details explain why none exists
+  // options.maxCost caps the summed costPerItem of the selection
+  static selectProducts(products, minValue, maxValue, minItems, maxItems, options = {}) {
+    return selectionSolver.solve(products, { minValue, maxValue, minItems, maxItems, maxCost: options.maxCost });
+  }
+
+  // Parse a box's rarity tiers, filling in defaults (probability 1, fallback to the first tier)
+  static parseTiers(mysteryBox) {
+    let tiers;
+    try {
+      tiers = JSON.parse(mysteryBox.tiers || '[]');
+    } catch (e) {
+      return [];
+    }
+
+    if (!Array.isArray(tiers) || tiers.length === 0) return [];
+
+    return tiers.map(tier => ({
+      name: tier.name,
+      tags: tier.tags || [],
+      productTypes: tier.productTypes || [],
+      productIds: (tier.productIds || []).map(id => id.toString()),
+      slots: parseInt(tier.slots) || 0,
+      probability: tier.probability !== undefined && tier.probability !== null ? parseFloat(tier.probability) : 1,
+      fallbackTier: tier.fallbackTier || tiers[0].name
+    }));
+  }
+
+  // Put each product in one tier: explicit product IDs win, then the first tier whose tags or types match
+  // A tier without tags, types or product IDs takes everything left; unmatched products are left out
+  static assignTiers(products, tiers) {
+    const pools = new Map(tiers.map(tier => [tier.name, []]));
+
+    for (const product of products) {
+      const tier = tiers.find(t => t.productIds.includes(product.shopifyProductId))
+        || tiers.find(t => this.matchesTier(product, t));
+
+      if (tier) {
+        pools.get(tier.name).push(product);
+      }
+    }
+
+    return pools;
+  }
+
+  static matchesTier(product, tier) {
+    if (tier.tags.length === 0 && tier.productTypes.length === 0) {
+      return tier.productIds.length === 0;
+    }
+
+    if (tier.productTypes.includes(product.productType)) return true;
+
+    return tier.tags.some(tag =>
+      product.tags.some(pTag => pTag.toLowerCase().includes(tag.toLowerCase()))
+    );
+  }
+
+  // Roll every tier slot against its probability; a lost roll gives the slot to the fallback tier
+  // baseline is the split if every roll is lost, which keeps the item count the same
+  static rollTierSlots(tiers) {
+    const counts = Object.fromEntries(tiers.map(tier => [tier.name, 0]));
+    const baseline = { ...counts };
+    let upgraded = false;
+
+    for (const tier of tiers) {
+      for (let slot = 0; slot < tier.slots; slot++) {
+        const guaranteed = tier.probability >= 1;
+
+        if (guaranteed || Math.random() < tier.probability) {
+          counts[tier.name]++;
+          upgraded = upgraded || !guaranteed;
+        } else if (tier.fallbackTier !== tier.name) {
+          counts[tier.fallbackTier]++;
+        }
+
+        if (guaranteed) {
+          baseline[tier.name]++;
+        } else if (tier.fallbackTier !== tier.name) {
+          baseline[tier.fallbackTier]++;
         }
       }
     }
 
-    // Ensure we meet minimum requirements
-    if (selected.length < minItems || currentValue < minValue) {
-      // Try a different approach - start with higher value items
-      return this.selectProductsFallback(products, minValue, maxValue, minItems, maxItems);
+    return { counts, baseline, upgraded };
+  }
+
+  // Fill a tiered box: each tier supplies exactly its rolled number of products
+  // A won chase slot that cannot be filled (e.g. sold out) falls back instead of failing the box
+  // options.quiet skips logging the fallback (simulations hit it on purpose)
+  static selectTieredProducts(products, tiers, mysteryBox, options = {}) {
+    const pools = this.assignTiers(products, tiers);
+    const rolled = this.rollTierSlots(tiers);
+
+    const solveFor = counts => selectionSolver.solveGroups(
+      tiers
+        .filter(tier => counts[tier.name] > 0)
+        .map(tier => ({
+          name: tier.name,
+          products: pools.get(tier.name),
+          minCount: counts[tier.name],
+          maxCount: counts[tier.name]
+        })),
+      { minValue: mysteryBox.minValue, maxValue: mysteryBox.maxValue, maxCost: this.getCostLimit(mysteryBox) }
+    );
+
+    let selected;
+    try {
+      selected = solveFor(rolled.counts);
+    } catch (error) {
+      if (error.code !== 'SELECTION_INFEASIBLE' || !rolled.upgraded) throw error;
+      if (!options.quiet) console.warn(`Rolled tiers for mystery box ${mysteryBox.id} cannot be filled (${error.reason}), using fallback tiers`);
+      selected = solveFor(rolled.baseline);
+    }
+
+    const tierOf = new Map();
+    for (const [name, pool] of pools) {
+      for (const product of pool) tierOf.set(product, name);
     }
 
-    return selected;
+    return selected.map(product => ({ ...product, tier: tierOf.get(product) }));
   }
 
-  // Fallback selection algorithm
-  static selectProductsFallback(products, minValue, maxValue, minItems, maxItems) {
-    const selected = [];
-    let currentValue = 0;
+  // Expected items per box from each tier: its own won slots plus slots other tiers lose to it
+  static expectedTierItems(tiers) {
+    const expected = Object.fromEntries(tiers.map(tier => [tier.name, 0]));
 
-    // Sort by price descending to start with higher value items
-    const sortedProducts = [...products].sort((a, b) => b.price - a.price);
-    
-    // First, select products to meet minimum value
-    for (const product of sortedProducts) {
-      if (selected.length >= maxItems) break;
-      if (currentValue + product.price > maxValue) continue;
-      
-      selected.push(product);
-      currentValue += product.price;
-      
-      if (currentValue >= minValue && selected.length >= minItems) {
-        break;
+    for (const tier of tiers) {
+      const probability = Math.min(tier.probability, 1);
+      expected[tier.name] += tier.slots * probability;
+      if (tier.fallbackTier !== tier.name) {
+        expected[tier.fallbackTier] += tier.slots * (1 - probability);
       }
     }
 
-    // If we still don't meet requirements, select cheapest products to meet minItems
-    if (selected.length < minItems) {
-      const cheapestProducts = [...products]
-        .filter(p => !selected.includes(p))
-        .sort((a, b) => a.price - b.price);
+    return expected;
+  }
+
+  // Check tier definitions; returns a list of error messages
+  static validateTiers(tiers, { minItems, maxItems } = {}) {
+    if (tiers === undefined || tiers === null) return [];
+    if (!Array.isArray(tiers)) return ['Tiers must be an array'];
+
+    const errors = [];
+    const names = tiers.map(tier => tier && tier.name);
+
+    tiers.forEach((tier, index) => {
+      const label = tier && tier.name ? `Tier "${tier.name}"` : `Tier ${index + 1}`;
 
-      for (const product of cheapestProducts) {
-        if (selected.length >= minItems) break;
-        if (currentValue + product.price > maxValue) continue;
-        
-        selected.push(product);
-        currentValue += product.price;
+      if (!tier || typeof tier.name !== 'string' || tier.name.trim().length === 0) {
+        errors.push(`${label} needs a name`);
+        return;
+      }
+      if (names.indexOf(tier.name) !== index) {
+        errors.push(`${label} is defined more than once`);
+      }
+      if (!Number.isInteger(Number(tier.slots)) || Number(tier.slots) < 0) {
+        errors.push(`${label} slots must be a whole number of 0 or more`);
+      }
+      if (tier.probability !== undefined && tier.probability !== null) {
+        const probability = Number(tier.probability);
+        if (isNaN(probability) || probability <= 0 || probability > 1) {
+          errors.push(`${label} probability must be greater than 0 and at most 1`);
+        }
+      }
+      if (tier.fallbackTier && !names.includes(tier.fallbackTier)) {
+        errors.push(`${label} falls back to unknown tier "${tier.fallbackTier}"`);
       }
+      for (const field of ['tags', 'productTypes', 'productIds']) {
+        if (tier[field] !== undefined && !Array.isArray(tier[field])) {
+          errors.push(`${label} ${field} must be an array`);
+        }
+      }
+    });
+
+    const totalSlots = tiers.reduce((sum, tier) => sum + (parseInt(tier && tier.slots) || 0), 0);
+    if (tiers.length > 0 && totalSlots === 0) {
+      errors.push('Tiers need at least one slot');
+    }
+    if (minItems !== undefined && maxItems !== undefined && tiers.length > 0 && (totalSlots < minItems || totalSlots > maxItems)) {
+      errors.push(`Tier slots add up to ${totalSlots}, outside the box's ${minItems}-${maxItems} items`);
     }
 
-    return selected;
+    return errors;
   }
 
-  // Select variant for a product (prefer in-stock variants)
-  static selectVariant(variants) {
-    if (!variants || variants.length === 0) return null;
+  // Most the box contents may cost: the tighter of maxCost and the sale price less the target margin
+  static getCostLimit(mysteryBox) {
+    const limits = [];
+
+    if (mysteryBox.maxCost !== null && mysteryBox.maxCost !== undefined) {
+      limits.push(mysteryBox.maxCost);
+    }
 
-    // Prefer variants with inventory
-    const inStockVariants = variants.filter(v => (v.inventoryQuantity || 0) > 0);
-    
-    if (inStockVariants.length > 0) {
-      return inStockVariants[Math.floor(Math.random() * inStockVariants.length)];
+    if (mysteryBox.targetMargin !== null && mysteryBox.targetMargin !== undefined) {
+      const salePrice = mysteryBox.price ?? mysteryBox.minValue;
+      limits.push(salePrice * (1 - mysteryBox.targetMargin));
     }
 
-    // Fallback to any variant
-    return variants[0];
+    return limits.length > 0 ? Math.min(...limits) : null;
+  }
+
+  // Total unit cost of a selection, or null when any item's cost is unknown
+  static calculateTotalCost(products) {
+    if (products.some(p => p.costPerItem === null || p.costPerItem === undefined)) {
+      return null;
+    }
+    return products.reduce((sum, p) => sum + p.costPerItem, 0);
   }
 
   // Calculate savings (compare at price vs selected price)
@@ -279,33 +1064,23 @@ class MysteryBoxService {
         whereClause.productType = { in: criteria.productTypes };
       }
 
-      const products = await prisma.productCache.findMany({
+      const products = (await prisma.productCache.findMany({
         where: whereClause,
+        include: productCacheService.PRODUCT_INCLUDE,
         orderBy: { price: 'asc' },
         take: 50
-      });
+      })).map(p => productCacheService.formatProduct(p));
 
       // Filter by tags if specified
-      let filteredProducts = products;
       if (criteria.tags && criteria.tags.length > 0) {
-        filteredProducts = products.filter(product => {
-          try {
-            const productTags = JSON.parse(product.tags || '[]');
-            return criteria.tags.some(tag => 
-              productTags.some(pTag => pTag.toLowerCase().includes(tag.toLowerCase()))
-            );
-          } catch (e) {
-            return false;
-          }
-        });
+        return products.filter(product =>
+          criteria.tags.some(tag =>
+            product.tags.some(pTag => pTag.toLowerCase().includes(tag.toLowerCase()))
+          )
+        );
       }
 
-      return filteredProducts.map(p => ({
-        ...p,
-        tags: JSON.parse(p.tags || '[]'),
-        variants: JSON.parse(p.variants || '[]'),
-        images: JSON.parse(p.images || '[]')
-      }));
+      return products;
 
     } catch (error) {
       console.error('Error getting product recommendations:', error);
@@ -321,11 +1096,11 @@ class MysteryBoxService {
       errors.push('Name is required');
     }
 
-    if (config.minValue === undefined || config.minValue < 0) {
+    if (config.minValue === undefined || !(config.minValue >= 0)) {
       errors.push('Minimum value must be 0 or greater');
     }
 
-    if (config.maxValue === undefined || config.maxValue <= 0) {
+    if (config.maxValue === undefined || !(config.maxValue > 0)) {
       errors.push('Maximum value must be greater than 0');
     }
 
@@ -333,11 +1108,11 @@ class MysteryBoxService {
       errors.push('Minimum value cannot be greater than maximum value');
     }
 
-    if (config.minItems === undefined || config.minItems < 1) {
+    if (config.minItems === undefined || !(config.minItems >= 1)) {
       errors.push('Minimum items must be 1 or greater');
     }
 
-    if (config.maxItems === undefined || config.maxItems < 1) {
+    if (config.maxItems === undefined || !(config.maxItems >= 1)) {
       errors.push('Maximum items must be 1 or greater');
     }
 
@@ -345,6 +1120,28 @@ class MysteryBoxService {
       errors.push('Minimum items cannot be greater than maximum items');
     }
 
+    if (config.price !== undefined && config.price !== null && !(config.price >= 0)) {
+      errors.push('Price must be 0 or greater');
+    }
+
+    if (config.targetMargin !== undefined && config.targetMargin !== null && !(config.targetMargin >= 0 && config.targetMargin < 1)) {
+      errors.push('Target margin must be between 0 and 1');
+    }
+
+    if (config.maxCost !== undefined && config.maxCost !== null && !(config.maxCost > 0)) {
+      errors.push('Maximum cost must be greater than 0');
+    }
+
+    if (config.dedupeWindowDays !== undefined && config.dedupeWindowDays !== null && (!Number.isInteger(config.dedupeWindowDays) || config.dedupeWindowDays < 1)) {
+      errors.push('Dedupe window must be a whole number of days, 1 or more');
+    }
+
+    if (config.dedupeBy !== undefined && !DEDUPE_MODES.includes(config.dedupeBy)) {
+      errors.push(`Dedupe by must be one of: ${DEDUPE_MODES.join(', ')}`);
+    }
+
+    errors.push(...this.validateTiers(config.tiers, { minItems: config.minItems, maxItems: config.maxItems }));
+
     return {
       valid: errors.length === 0,
       errors
@@ -354,6 +1151,17 @@ class MysteryBoxService {
   // Get mystery box statistics
   static async getStatistics(shop, mysteryBoxId) {
     try {
+      const mysteryBox = await prisma.mysteryBox.findFirst({
+        where: {
+          id: parseInt(mysteryBoxId),
+          shop: { shopDomain: shop }
+        }
+      });
+
+      if (!mysteryBox) {
+        throw new Error('Mystery box not found');
+      }
+
       const instances = await prisma.boxInstance.findMany({
         where: { 
           mysteryBoxId: parseInt(mysteryBoxId),
@@ -361,9 +1169,18 @@ class MysteryBoxService {
         }
       });
 
+      const statusCounts = Object.keys(INSTANCE_TRANSITIONS).reduce((counts, status) => {
+        counts[status] = instances.filter(i => i.status === status).length;
+        return counts;
+      }, {});
+
+      const tierOdds = this.getTierOdds(this.parseTiers(mysteryBox), instances);
+
       if (instances.length === 0) {
         return {
           totalGenerated: 0,
+          statusCounts,
+          tierOdds,
           averageValue: 0,
           averageItems: 0,
           totalValue: 0,
@@ -381,6 +1198,8 @@ class MysteryBoxService {
 
       return {
         totalGenerated,
+        statusCounts,
+        tierOdds,
         averageValue: totalValue / totalGenerated,
         averageItems: totalItems / totalGenerated,
         totalValue,
@@ -399,6 +1218,45 @@ class MysteryBoxService {
       throw error;
     }
   }
+
+  // Configured vs realized pull rates per tier across generated instances
+  static getTierOdds(tiers, instances) {
+    if (tiers.length === 0) return null;
+
+    const expected = this.expectedTierItems(tiers);
+    const contents = instances.map(instance => {
+      try {
+        return JSON.parse(instance.products);
+      } catch (e) {
+        return [];
+      }
+    });
+
+    return tiers.map(tier => {
+      const pulls = contents.map(products => products.filter(p => p.tier === tier.name).length);
+      const itemsPulled = pulls.reduce((sum, count) => sum + count, 0);
+      const boxesWithTier = pulls.filter(count => count > 0).length;
+
+      return {
+        name: tier.name,
+        slots: tier.slots,
+        probability: tier.probability,
+        fallbackTier: tier.fallbackTier,
+        expectedPerBox: expected[tier.name],
+        itemsPulled,
+        averagePerBox: instances.length > 0 ? itemsPulled / instances.length : 0,
+        boxesWithTier,
+        boxRate: instances.length > 0 ? boxesWithTier / instances.length : 0,
+        // A box gets at least one item from a tier with no inflow at 1 - (1 - p)^slots
+        expectedBoxRate: tier.slots > 0 ? 1 - Math.pow(1 - Math.min(tier.probability, 1), tier.slots) : 0
+      };
+    });
+  }
 }
 
+MysteryBoxService.INSTANCE_TRANSITIONS = INSTANCE_TRANSITIONS;
+MysteryBoxService.DEDUPE_MODES = DEDUPE_MODES;
+MysteryBoxService.MAX_SIMULATION_ITERATIONS = MAX_SIMULATION_ITERATIONS;
+MysteryBoxService.SIMULATION_TIME_BUDGET_MS = SIMULATION_TIME_BUDGET_MS;
+
 module.exports = MysteryBoxService;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Install nonces (OAuth state) kept in the database, so a callback is accepted
+// by any server process and survives restarts between redirect and callback
+class OAuthNonceService {
+  static async create(state, shopDomain, expiresAt) {
+    // Drop abandoned installs while we are here
+    await prisma.oAuthNonce.deleteMany({
+      where: { expiresAt: { lt: new Date() } }
+    });
+
+    return prisma.oAuthNonce.create({
+      data: { state, shopDomain, expiresAt }
+    });
+  }
+
+  // Use up a nonce; true only the first time, for its own shop and before it expires
+  static async consume(state, shopDomain) {
+    const { count } = await prisma.oAuthNonce.deleteMany({
+      where: { state, shopDomain, expiresAt: { gt: new Date() } }
+    });
+
+    return count === 1;
+  }
+}
+
+module.exports = OAuthNonceService;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const ShopifyClient = require('./shopifyClient');
+const sessionTokenService = require('./sessionTokenService');
+
+// How long a merchant has to approve the install before its state expires
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+function invalidCallback(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_OAUTH_CALLBACK';
+  return error;
+}
+
+// Shopify OAuth install handshake: authorize redirect with a stored single-use state,
+// callback checks (shop hostname, query HMAC, state) and the code-for-token exchange
+class OAuthService {
+  // Nonce persistence; the database-backed store is loaded on first use so the handshake
+  // can run against another store (e.g. in tests) without a database
+  static get nonces() {
+    if (!this.nonceStore) {
+      this.nonceStore = require('./oauthNonceService');
+    }
+    return this.nonceStore;
+  }
+
+  // Build the authorize URL for a shop and remember its state
+  static async beginInstall(shop, { redirectUri, scopes, perUser = false }) {
+    if (!sessionTokenService.isValidShopDomain(shop)) {
+      throw invalidCallback('Invalid shop domain format');
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    await this.nonces.create(state, shop, new Date(Date.now() + NONCE_TTL_MS));
+
+    const params = new URLSearchParams({
+      client_id: process.env.SHOPIFY_API_KEY,
+      scope: scopes,
+      redirect_uri: redirectUri,
+      state
+    });
+
+    if (perUser) {
+      params.append('grant_options[]', 'per-user');
+    }
+
+    return `${ShopifyClient.adminOrigin(shop)}/admin/oauth/authorize?${params.toString()}`;
+  }
+
+  // Check an OAuth callback query: shop hostname, then HMAC, then (consuming it) the state
+  // Returns the verified { shop, code } or throws an INVALID_OAUTH_CALLBACK error
+  static async validateCallback(query) {
+    const { shop, code, state } = query;
+
+    if (!shop || !code || !state) {
+      throw invalidCallback('Missing required parameters');
+    }
+
+    if (!sessionTokenService.isValidShopDomain(shop)) {
+      throw invalidCallback('Invalid shop domain format');
+    }
+
+    if (!this.isValidQueryHmac(query, process.env.SHOPIFY_API_SECRET)) {
+      throw invalidCallback('Invalid HMAC');
+    }
+
+    if (!(await this.nonces.consume(state, shop))) {
+      throw invalidCallback('Invalid or expired state parameter');
+    }
+
+    return { shop, code };
+  }
+
+  // Shopify signs redirect queries: HMAC-SHA256 (hex) of the other parameters, sorted by name
+  static queryHmac(query, secret) {
+    const message = Object.keys(query)
+      .filter(key => key !== 'hmac' && key !== 'signature')
+      .sort()
+      .map((key) => {
+        const value = Array.isArray(query[key])
+          ? `[${query[key].map(v => `"${v}"`).join(', ')}]`
+          : query[key];
+        return new URLSearchParams({ [key]: value }).toString();
+      })
+      .join('&');
+
+    return crypto.createHmac('sha256', secret).update(message).digest('hex');
+  }
+
+  static isValidQueryHmac(query, secret) {
+    if (!secret || typeof query.hmac !== 'string') return false;
+
+    const expected = Buffer.from(this.queryHmac(query, secret), 'hex');
+    const received = Buffer.from(query.hmac, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Exchange an authorization code for an offline access token
+  static async exchangeCodeForToken(shop, code) {
+    try {
+      const response = await axios.post(`${ShopifyClient.adminOrigin(shop)}/admin/oauth/access_token`, {
+        client_id: process.env.SHOPIFY_API_KEY,
+        client_secret: process.env.SHOPIFY_API_SECRET,
+        code
+      });
+
+      if (!response.data?.access_token) {
+        throw new Error('No access token in response');
+      }
+
+      return response.data.access_token;
+    } catch (error) {
+      console.error('Error exchanging code for token:', error.response?.data || error.message);
+      throw new Error('Failed to get access token');
+    }
+  }
+
+  // Validate a callback and exchange its code; returns { shop, accessToken }
+  static async completeInstall(query) {
+    const { shop, code } = await this.validateCallback(query);
+    const accessToken = await this.exchangeCodeForToken(shop, code);
+
+    return { shop, accessToken };
+  }
+}
+
+OAuthService.NONCE_TTL_MS = NONCE_TTL_MS;
+
+module.exports = OAuthService;
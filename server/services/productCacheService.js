@@ -0,0 +1,221 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Relations loaded with every cached product, in Shopify's order
+const PRODUCT_INCLUDE = {
+  variants: { orderBy: { position: 'asc' }, include: { inventoryLevels: true } },
+  images: { orderBy: { position: 'asc' } }
+};
+
+// Single writer and reader for the product cache
+// Live sync, demo sync and product webhooks all store Shopify REST product payloads through here
+class ProductCacheService {
+  // Map a Shopify REST product to cache rows
+  // costs: Map of inventory item ID -> unit cost (inventory items carry cost, products do not)
+  // A variant with no cost in either is left undefined, so an update (e.g. from a product
+  // webhook) keeps the stored cost instead of clearing it
+  static buildProductData(shopId, product, costs = new Map()) {
+    const variants = (product.variants || []).map((variant, index) => {
+      const inventoryItemId = variant.inventory_item_id ? variant.inventory_item_id.toString() : null;
+      let cost;
+      if (inventoryItemId && costs.has(inventoryItemId)) {
+        cost = costs.get(inventoryItemId);
+      } else if (variant.cost) {
+        cost = parseFloat(variant.cost);
+      }
+
+      return {
+        shopifyVariantId: variant.id.toString(),
+        title: variant.title || null,
+        sku: variant.sku || null,
+        position: variant.position || index + 1,
+        price: parseFloat(variant.price || 0),
+        compareAtPrice: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
+        costPerItem: cost,
+        inventoryItemId,
+        inventoryQuantity: variant.inventory_quantity || 0,
+        weight: variant.weight !== undefined && variant.weight !== null ? parseFloat(variant.weight) : null,
+        weightUnit: variant.weight_unit || null
+      };
+    });
+
+    const images = (product.images || []).map((image, index) => ({
+      shopifyImageId: image.id ? image.id.toString() : null,
+      src: image.src,
+      alt: image.alt || null,
+      position: image.position || index + 1
+    }));
+
+    const primaryVariant = variants[0];
+
+    const productData = {
+      shopId,
+      shopifyProductId: product.id.toString(),
+      title: product.title || 'Untitled Product',
+      handle: product.handle || product.title?.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-') || 'product',
+      description: product.body_html || null,
+      vendor: product.vendor || null,
+      productType: product.product_type || null,
+      tags: JSON.stringify(product.tags ? product.tags.split(',').map(t => t.trim()).filter(Boolean) : []),
+      status: product.status || 'active',
+      price: primaryVariant ? primaryVariant.price : 0,
+      compareAtPrice: primaryVariant ? primaryVariant.compareAtPrice : null,
+      costPerItem: primaryVariant ? primaryVariant.costPerItem : null,
+      inventoryQuantity: variants.reduce((sum, v) => sum + v.inventoryQuantity, 0),
+      lastSynced: new Date()
+    };
+
+    return { productData, variants, images };
+  }
+
+  // Create or replace a cached product with its variants and images
+  // levels: Map of inventory item ID -> [{ locationId, available }]; variants missing from it keep their stored levels
+  static async upsertProduct(shopId, product, { costs, levels } = {}) {
+    const { productData, variants, images } = this.buildProductData(shopId, product, costs);
+
+    return prisma.$transaction(async (tx) => {
+      const existing = await tx.productCache.findUnique({
+        where: { shopId_shopifyProductId: { shopId, shopifyProductId: productData.shopifyProductId } },
+        select: { id: true }
+      });
+
+      const cached = await tx.productCache.upsert({
+        where: { shopId_shopifyProductId: { shopId, shopifyProductId: productData.shopifyProductId } },
+        update: productData,
+        create: productData
+      });
+
+      // Drop variants Shopify no longer has, then upsert the rest
+      await tx.productVariant.deleteMany({
+        where: {
+          productId: cached.id,
+          shopifyVariantId: { notIn: variants.map(v => v.shopifyVariantId) }
+        }
+      });
+
+      for (const variant of variants) {
+        const savedVariant = await tx.productVariant.upsert({
+          where: { productId_shopifyVariantId: { productId: cached.id, shopifyVariantId: variant.shopifyVariantId } },
+          update: variant,
+          create: { ...variant, productId: cached.id }
+        });
+
+        if (levels && variant.inventoryItemId && levels.has(variant.inventoryItemId)) {
+          await tx.inventoryLevel.deleteMany({ where: { variantId: savedVariant.id } });
+          await tx.inventoryLevel.createMany({
+            data: levels.get(variant.inventoryItemId).map(level => ({
+              variantId: savedVariant.id,
+              locationId: level.locationId,
+              available: level.available
+            }))
+          });
+        }
+      }
+
+      await tx.productImage.deleteMany({ where: { productId: cached.id } });
+      if (images.length > 0) {
+        await tx.productImage.createMany({
+          data: images.map(image => ({ ...image, productId: cached.id }))
+        });
+      }
+
+      return { created: !existing, product: cached };
+    });
+  }
+
+  // Apply one location's stock for an inventory item (an inventory_levels/update payload) to the cached variant,
+  // then recompute the variant and product totals from the stored per-location levels
+  static async applyInventoryLevel(shopId, { inventoryItemId, locationId, available }) {
+    return prisma.$transaction(async (tx) => {
+      const variants = await tx.productVariant.findMany({
+        where: { inventoryItemId: inventoryItemId.toString(), product: { shopId } },
+        select: { id: true, productId: true }
+      });
+
+      for (const variant of variants) {
+        await tx.inventoryLevel.upsert({
+          where: { variantId_locationId: { variantId: variant.id, locationId: locationId.toString() } },
+          update: { available },
+          create: { variantId: variant.id, locationId: locationId.toString(), available }
+        });
+
+        const levels = await tx.inventoryLevel.aggregate({
+          where: { variantId: variant.id },
+          _sum: { available: true }
+        });
+
+        await tx.productVariant.update({
+          where: { id: variant.id },
+          data: { inventoryQuantity: levels._sum.available || 0 }
+        });
+
+        const totals = await tx.productVariant.aggregate({
+          where: { productId: variant.productId },
+          _sum: { inventoryQuantity: true }
+        });
+
+        await tx.productCache.update({
+          where: { id: variant.productId },
+          data: { inventoryQuantity: totals._sum.inventoryQuantity || 0 }
+        });
+      }
+
+      return { updated: variants.length };
+    });
+  }
+
+  // Remove a product (variants and images cascade)
+  static async deleteProduct(shopId, shopifyProductId) {
+    const result = await prisma.productCache.deleteMany({
+      where: { shopId, shopifyProductId: shopifyProductId.toString() }
+    });
+
+    return { deleted: result.count };
+  }
+
+  // Shape a cached product (loaded with PRODUCT_INCLUDE) for the API and the selection pipeline
+  static formatProduct(product) {
+    let tags = [];
+    try {
+      tags = JSON.parse(product.tags || '[]');
+    } catch (e) {
+      // Leave unparseable tags empty
+    }
+
+    const variants = (product.variants || []).map(variant => ({
+      id: variant.shopifyVariantId,
+      title: variant.title,
+      sku: variant.sku,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice,
+      costPerItem: variant.costPerItem,
+      inventoryItemId: variant.inventoryItemId,
+      inventoryQuantity: variant.inventoryQuantity,
+      weight: variant.weight,
+      weightUnit: variant.weightUnit,
+      inventoryLevels: (variant.inventoryLevels || []).map(level => ({
+        locationId: level.locationId,
+        available: level.available
+      }))
+    }));
+
+    const images = (product.images || []).map(image => ({
+      id: image.shopifyImageId,
+      src: image.src,
+      alt: image.alt
+    }));
+
+    return {
+      ...product,
+      tags,
+      variants,
+      images,
+      imageUrl: images[0]?.src || null
+    };
+  }
+}
+
+ProductCacheService.PRODUCT_INCLUDE = PRODUCT_INCLUDE;
+
+module.exports = ProductCacheService;
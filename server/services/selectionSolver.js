@@ -0,0 +1,458 @@
+// Exact-fit product selection for mystery boxes.
+//
+// Runs a randomized 0/1 knapsack over (item count, total value in cents): every
+// reachable state remembers the first product (in a freshly shuffled order) that
+// reached it, so a selection can be rebuilt from any state. Picking a random
+// reachable state inside the box's bounds keeps generations varied while
+// guaranteeing the result is inside [minValue, maxValue] and [minItems, maxItems].
+// A cost limit is checked on the rebuilt selection; when it keeps failing, the
+// candidates are reordered so low cost-to-price products reach each state first.
+//
+// Products can be split into groups (rarity tiers) with their own item counts.
+// Each group gets its own table and the groups' reachable totals are combined, so
+// a box total is picked first and then split between the groups.
+//
+// Candidates are variants: candidates sharing a shopifyProductId are alternatives
+// for one slot, so a box holds at most one variant of any product.
+
+// Upper bound on DP cells (item counts x value units); larger ranges use coarser units
+const MAX_DP_CELLS = 4000000;
+
+// Random states to try before giving up when coarse units blur the value bounds
+const MAX_RECONSTRUCT_ATTEMPTS = 20;
+
+// Candidate orderings to try when a cost limit rejects the sampled selections
+const COST_ROUNDS = ['random', 'random', 'margin', 'margin'];
+
+class SelectionSolver {
+  // Select products whose total price is within [minValue, maxValue] and count within [minItems, maxItems]
+  // With maxCost, the products' summed costPerItem must also stay at or under it
+  // Throws a SELECTION_INFEASIBLE error explaining why no such selection exists
+  static solve(products, { minValue, maxValue, minItems, maxItems, maxCost = null }) {
+    if (minItems > maxItems) {
+      throw this.infeasible('INVALID_ITEM_RANGE', 'Minimum items is greater than maximum items', { minItems, maxItems });
+    }
+
+    return this.solveGroups(
+      [{ name: null, products, minCount: minItems, maxCount: maxItems }],
+      { minValue, maxValue, maxCost }
+    );
+  }
+
+  // Select minCount..maxCount products from every group so the combined total is within [minValue, maxValue]
+  // Groups must not share products; the selected products of all groups come back in one list
+  static solveGroups(groups, { minValue, maxValue, maxCost = null }) {
+    const minCents = Math.round(minValue * 100);
+    const maxCents = Math.round(maxValue * 100);
+    const maxCostCents = maxCost !== null && maxCost !== undefined ? Math.round(maxCost * 100) : null;
+
+    if (minCents > maxCents) {
+      throw this.infeasible('INVALID_VALUE_RANGE', 'Minimum value is greater than maximum value', { minValue, maxValue });
+    }
+
+    const prepared = groups.map(group => {
+      const candidates = group.products
+        .map(product => ({
+          product,
+          cents: Math.round(product.price * 100),
+          costCents: product.costPerItem !== null && product.costPerItem !== undefined
+            ? Math.round(product.costPerItem * 100)
+            : null
+        }))
+        .filter(c => c.cents > 0 && c.cents <= maxCents)
+        // Without a known cost we cannot promise the margin
+        .filter(c => maxCostCents === null || (c.costCents !== null && c.costCents <= maxCostCents));
+
+      return {
+        ...group,
+        candidates,
+        minCount: Math.max(1, group.minCount),
+        countLimit: Math.min(group.maxCount, this.countProducts(candidates))
+      };
+    });
+
+    this.assertFeasibleBounds(prepared, { minValue, maxValue, maxCost });
+
+    const rows = prepared.reduce((total, group) => total + group.countLimit + 1, 0);
+    const unit = Math.max(1, Math.ceil((rows * (maxCents + 1)) / MAX_DP_CELLS));
+    const low = Math.ceil(minCents / unit);
+    const high = Math.floor(maxCents / unit);
+    const poolSize = prepared.reduce((total, group) => total + group.candidates.length, 0);
+
+    let reachable = false;
+    let lowestCostCents = null;
+    const rounds = maxCostCents === null ? ['random'] : COST_ROUNDS;
+
+    for (const ordering of rounds) {
+      for (const group of prepared) {
+        this.orderCandidates(group.candidates, ordering);
+        group.weights = group.candidates.map(c => Math.max(1, Math.round(c.cents / unit)));
+        group.table = this.buildTable(group.weights, this.productRuns(group.candidates), group.countLimit, high);
+        group.totals = this.groupTotals(group, high);
+      }
+      const combined = this.combineTotals(prepared, high);
+
+      for (let attempt = 0; attempt < MAX_RECONSTRUCT_ATTEMPTS; attempt++) {
+        const selection = this.pickSelection(prepared, combined, low, high);
+        if (!selection) break;
+
+        const totalCents = selection.reduce((total, c) => total + c.cents, 0);
+
+        // Exact whenever unit is 1; with coarse units re-check against the real bounds
+        if (totalCents < minCents || totalCents > maxCents) continue;
+        reachable = true;
+
+        const costCents = selection.reduce((total, c) => total + (c.costCents || 0), 0);
+        if (maxCostCents !== null && costCents > maxCostCents) {
+          lowestCostCents = lowestCostCents === null ? costCents : Math.min(lowestCostCents, costCents);
+          continue;
+        }
+
+        return selection.map(c => c.product);
+      }
+
+      // No state in range at all: reordering will not help
+      if (!reachable) break;
+    }
+
+    if (reachable) {
+      throw this.infeasible('COST_LIMIT_EXCEEDED', 'Every selection found costs more than the box allows', {
+        maxCost,
+        lowestCostFound: lowestCostCents / 100,
+        poolSize
+      });
+    }
+
+    throw this.infeasible('NO_EXACT_FIT', 'No combination of products fits both the value and item ranges', {
+      minValue,
+      maxValue,
+      minItems: prepared.reduce((total, group) => total + group.minCount, 0),
+      maxItems: prepared.reduce((total, group) => total + group.maxCount, 0),
+      poolSize
+    });
+  }
+
+  // Shuffle candidates, or ('margin') put the lowest cost-to-price products first with random tie-breaking
+  // so the DP records cheap-to-source products as the way to reach each state
+  // Variants of one product are then moved next to the first of them, keeping the order otherwise
+  static orderCandidates(candidates, ordering) {
+    this.shuffle(candidates);
+
+    if (ordering === 'margin') {
+      const ratio = c => (c.costCents || 0) / c.cents + Math.random() * 0.1;
+      const ratios = new Map(candidates.map(c => [c, ratio(c)]));
+      candidates.sort((a, b) => ratios.get(a) - ratios.get(b));
+    }
+
+    const byProduct = new Map();
+    candidates.forEach((c, index) => {
+      const key = this.productKey(c, index);
+      if (!byProduct.has(key)) byProduct.set(key, []);
+      byProduct.get(key).push(c);
+    });
+    candidates.splice(0, candidates.length, ...[...byProduct.values()].flat());
+
+    return candidates;
+  }
+
+  // Candidates without a product ID never share a slot
+  static productKey(candidate, index) {
+    const id = candidate.product.shopifyProductId;
+    return id !== undefined && id !== null ? `p:${id}` : `i:${index}`;
+  }
+
+  static countProducts(candidates) {
+    return new Set(candidates.map((c, index) => this.productKey(c, index))).size;
+  }
+
+  // [start, end) index ranges of consecutive candidates that are variants of the same product
+  static productRuns(candidates) {
+    const runs = [];
+
+    candidates.forEach((c, index) => {
+      const last = runs[runs.length - 1];
+      if (last && this.productKey(candidates[last.start], last.start) === this.productKey(c, index)) {
+        last.end = index + 1;
+      } else {
+        runs.push({ start: index, end: index + 1 });
+      }
+    });
+
+    return runs;
+  }
+
+  // Per product, the lowest (or highest) value among its variants
+  static bestPerProduct(candidates, valueOf, ascending) {
+    const best = new Map();
+
+    candidates.forEach((c, index) => {
+      const key = this.productKey(c, index);
+      const value = valueOf(c);
+      if (!best.has(key) || (ascending ? value < best.get(key) : value > best.get(key))) {
+        best.set(key, value);
+      }
+    });
+
+    return [...best.values()];
+  }
+
+  // Cheap checks that explain the common reasons a box cannot be filled
+  static assertFeasibleBounds(groups, { minValue, maxValue, maxCost }) {
+    if (groups.every(group => group.products.length === 0)) {
+      throw this.infeasible('EMPTY_POOL', 'No products match the mystery box criteria', { poolSize: 0 });
+    }
+
+    for (const group of groups) {
+      const eligible = this.countProducts(group.candidates);
+      if (eligible >= group.minCount) continue;
+
+      const details = {
+        poolSize: group.products.length,
+        eligible,
+        tooExpensive: group.products.filter(p => p.price > maxValue).length,
+        minItems: group.minCount
+      };
+      if (group.name) {
+        details.tier = group.name;
+      }
+      if (maxCost !== null && maxCost !== undefined) {
+        details.unknownCost = group.products.filter(p => p.costPerItem === null || p.costPerItem === undefined).length;
+      }
+
+      const scope = group.name ? ` in tier "${group.name}"` : '';
+      throw this.infeasible('NOT_ENOUGH_PRODUCTS', `Only ${eligible} eligible products${scope} for a minimum of ${group.minCount} items`, details);
+    }
+
+    const minItems = groups.reduce((total, group) => total + group.minCount, 0);
+    const maxItems = groups.reduce((total, group) => total + group.countLimit, 0);
+
+    // Sum of the first `count` values after sorting each group's products by their best variant
+    const extremeSum = (valueOf, ascending, countOf) => groups.reduce((total, group) => {
+      const values = this.bestPerProduct(group.candidates, valueOf, ascending).sort((a, b) => (ascending ? a - b : b - a));
+      return total + values.slice(0, countOf(group)).reduce((sum, cents) => sum + cents, 0);
+    }, 0);
+
+    if (maxCost !== null && maxCost !== undefined) {
+      const cheapestCostCents = extremeSum(c => c.costCents, true, group => group.minCount);
+      if (cheapestCostCents > Math.round(maxCost * 100)) {
+        throw this.infeasible('COST_LIMIT_EXCEEDED', `The ${minItems} lowest-cost products already cost more than the box allows`, {
+          cheapestCost: cheapestCostCents / 100,
+          maxCost,
+          minItems
+        });
+      }
+    }
+
+    const cheapestCents = extremeSum(c => c.cents, true, group => group.minCount);
+    if (cheapestCents > Math.round(maxValue * 100)) {
+      throw this.infeasible('MIN_ITEMS_EXCEED_MAX_VALUE', `The ${minItems} cheapest products already cost more than the maximum value`, {
+        cheapestTotal: cheapestCents / 100,
+        maxValue,
+        minItems
+      });
+    }
+
+    const richestCents = extremeSum(c => c.cents, false, group => group.countLimit);
+    if (richestCents < Math.round(minValue * 100)) {
+      throw this.infeasible('MIN_VALUE_UNREACHABLE', `The ${maxItems} most valuable products are worth less than the minimum value`, {
+        bestTotal: richestCents / 100,
+        minValue,
+        maxItems
+      });
+    }
+  }
+
+  // Build reachability bitsets and first-reaching item indexes for every (count, sum <= high)
+  // runs lists each product's consecutive variant indexes; at most one index per run is used
+  static buildTable(weights, runs, countLimit, high) {
+    const words = (high >>> 5) + 1;
+    const lastWordMask = this.lastWordMask(high);
+    const reach = [];
+    const first = [];
+
+    for (let k = 0; k <= countLimit; k++) {
+      reach.push(new Uint32Array(words));
+      first.push(k === 0 ? null : new Int32Array(high + 1).fill(-1));
+    }
+    reach[0][0] = 1; // zero items, zero value
+
+    runs.forEach(({ start, end }, runIndex) => {
+      // Descending counts so each product is used at most once: row k - 1 still
+      // holds the sums reached before this product when its variants extend it
+      for (let k = Math.min(countLimit, runIndex + 1); k >= 1; k--) {
+        const row = first[k];
+        for (let index = start; index < end; index++) {
+          if (weights[index] > high) continue;
+          this.shiftOr(reach[k], reach[k - 1], weights[index], lastWordMask, (sum) => {
+            row[sum] = index;
+          });
+        }
+      }
+    });
+
+    return { reach, first };
+  }
+
+  // target |= source << shift, dropping bits past the last word mask; onAdded sees each newly set bit
+  static shiftOr(target, source, shift, lastWordMask, onAdded = null) {
+    const words = target.length;
+    const wordShift = shift >>> 5;
+    const bitShift = shift & 31;
+
+    for (let j = words - 1; j >= wordShift; j--) {
+      let shifted = source[j - wordShift] << bitShift;
+      if (bitShift > 0 && j - wordShift - 1 >= 0) {
+        shifted |= source[j - wordShift - 1] >>> (32 - bitShift);
+      }
+
+      let added = (shifted & ~target[j]) >>> 0;
+      if (j === words - 1) added = (added & lastWordMask) >>> 0;
+      if (added === 0) continue;
+
+      target[j] = (target[j] | added) >>> 0;
+
+      if (!onAdded) continue;
+      while (added !== 0) {
+        const bit = 31 - Math.clz32(added);
+        onAdded(j * 32 + bit);
+        added = (added & ~(1 << bit)) >>> 0;
+      }
+    }
+  }
+
+  // Mask of the bits up to `high` in the last bitset word
+  static lastWordMask(high) {
+    return ((high & 31) === 31) ? 0xffffffff : ((1 << ((high & 31) + 1)) - 1) >>> 0;
+  }
+
+  // Sums a group can reach with an allowed number of its products
+  static groupTotals(group, high) {
+    const totals = new Uint32Array((high >>> 5) + 1);
+
+    for (let k = group.minCount; k <= group.countLimit; k++) {
+      const row = group.table.reach[k];
+      for (let j = 0; j < totals.length; j++) {
+        totals[j] = (totals[j] | row[j]) >>> 0;
+      }
+    }
+
+    return totals;
+  }
+
+  // combined[g] holds the sums groups 0..g-1 can reach together (combined[0] is just zero)
+  static combineTotals(groups, high) {
+    const words = (high >>> 5) + 1;
+    const lastWordMask = this.lastWordMask(high);
+    const combined = [new Uint32Array(words)];
+    combined[0][0] = 1;
+
+    groups.forEach((group, g) => {
+      const next = new Uint32Array(words);
+      this.forEachBit(group.totals, high, (sum) => {
+        this.shiftOr(next, combined[g], sum, lastWordMask);
+      });
+      combined.push(next);
+    });
+
+    return combined;
+  }
+
+  // Pick a random reachable box total inside the bounds, split it between the groups, and rebuild each group
+  static pickSelection(groups, combined, low, high) {
+    let remaining = this.pickBit(combined[groups.length], Math.max(low, 0), high);
+    if (remaining === null) return null;
+
+    const selection = [];
+
+    for (let g = groups.length - 1; g >= 0; g--) {
+      const group = groups[g];
+
+      // A share this group can reach while the earlier groups reach the rest (reservoir sampling)
+      let share = null;
+      let seen = 0;
+      this.forEachBit(group.totals, remaining, (sum) => {
+        if (!this.hasBit(combined[g], remaining - sum)) return;
+        seen++;
+        if (Math.random() * seen < 1) share = sum;
+      });
+
+      const counts = [];
+      for (let k = group.minCount; k <= group.countLimit; k++) {
+        if (group.table.first[k][share] !== -1) counts.push(k);
+      }
+      const count = counts[Math.floor(Math.random() * counts.length)];
+
+      for (const index of this.reconstruct(group.table, group.weights, count, share)) {
+        selection.push(group.candidates[index]);
+      }
+      remaining -= share;
+    }
+
+    return selection;
+  }
+
+  // Walk first-reaching indexes back to zero; indexes fall into strictly earlier product runs, so products never repeat
+  static reconstruct(table, weights, count, sum) {
+    const indexes = [];
+
+    while (count > 0) {
+      const index = table.first[count][sum];
+      indexes.push(index);
+      sum -= weights[index];
+      count--;
+    }
+
+    return indexes;
+  }
+
+  // Uniformly random set bit in [low, high] (reservoir sampling), or null if there is none
+  static pickBit(bits, low, high) {
+    let picked = null;
+    let seen = 0;
+
+    this.forEachBit(bits, high, (bit) => {
+      if (bit < low) return;
+      seen++;
+      if (Math.random() * seen < 1) picked = bit;
+    });
+
+    return picked;
+  }
+
+  static forEachBit(bits, high, callback) {
+    const lastWord = Math.min(bits.length - 1, high >>> 5);
+
+    for (let j = 0; j <= lastWord; j++) {
+      let word = bits[j];
+      while (word !== 0) {
+        const bit = 31 - Math.clz32(word);
+        word = (word & ~(1 << bit)) >>> 0;
+        const index = j * 32 + bit;
+        if (index <= high) callback(index);
+      }
+    }
+  }
+
+  static hasBit(bits, index) {
+    return index >= 0 && (bits[index >>> 5] & (1 << (index & 31))) !== 0;
+  }
+
+  // Fisher-Yates shuffle in place
+  static shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  static infeasible(reason, message, details) {
+    const error = new Error(message);
+    error.code = 'SELECTION_INFEASIBLE';
+    error.reason = reason;
+    error.details = details;
+    return error;
+  }
+}
+
+module.exports = SelectionSolver;
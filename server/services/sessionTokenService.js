@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+// Leeway for clock differences between Shopify and this server when checking exp/nbf
+const CLOCK_SKEW_SECONDS = 10;
+
+// Lifetime of locally issued development tokens
+const DEV_TOKEN_TTL_SECONDS = 60 * 60;
+
+// iss claim that marks a locally issued development token
+const DEV_ISSUER = 'dev-session';
+
+const SHOP_DOMAIN_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9-]*\.myshopify\.com$/;
+
+// Used to sign development tokens when no secret is configured; tokens die with the process
+let generatedDevSecret = null;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function invalidToken(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SESSION_TOKEN';
+  return error;
+}
+
+// Session tokens identify the merchant's shop on API requests.
+// Embedded in the Shopify admin, App Bridge issues them (HS256 JWTs signed with the app's API secret);
+// in development mode the server can issue equivalent tokens itself for any shop, and otherwise
+// (unless demo sessions are turned off) for the demo shop only, so the demo works outside Shopify.
+class SessionTokenService {
+  // Development tokens are allowed when SESSION_DEV_MODE=true, or by default when NODE_ENV=development
+  static isDevModeEnabled() {
+    if (process.env.SESSION_DEV_MODE !== undefined) {
+      return process.env.SESSION_DEV_MODE === 'true';
+    }
+    return process.env.NODE_ENV === 'development';
+  }
+
+  // Locally issued tokens for the demo shop are allowed unless SESSION_DEMO_MODE=false
+  static isDemoModeEnabled() {
+    return process.env.SESSION_DEMO_MODE !== 'false';
+  }
+
+  // The demo adapter is loaded on first use so token checks need no database client
+  static isDemoShop(shop) {
+    return shop === require('./demoShopifyService').DEMO_SHOP_DOMAIN;
+  }
+
+  // Whether the server may issue (and accept) its own tokens for this shop
+  static canIssueLocalToken(shop) {
+    return this.isDevModeEnabled() || (this.isDemoModeEnabled() && this.isDemoShop(shop));
+  }
+
+  static isValidShopDomain(shop) {
+    return typeof shop === 'string' && SHOP_DOMAIN_PATTERN.test(shop);
+  }
+
+  static devSecret() {
+    if (process.env.SESSION_DEV_SECRET || process.env.SHOPIFY_API_SECRET) {
+      return process.env.SESSION_DEV_SECRET || process.env.SHOPIFY_API_SECRET;
+    }
+
+    if (!generatedDevSecret) {
+      generatedDevSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return generatedDevSecret;
+  }
+
+  static sign(payload, secret) {
+    const signingInput = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+    return `${signingInput}.${signature}`;
+  }
+
+  // Issue a development (or demo shop) token for a shop; returns { token, expiresAt }
+  static issueDevToken(shop) {
+    if (!this.isValidShopDomain(shop)) {
+      throw invalidToken('Invalid shop domain');
+    }
+
+    if (!this.canIssueLocalToken(shop)) {
+      throw invalidToken('Development sessions are disabled');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      iss: DEV_ISSUER,
+      dest: `https://${shop}`,
+      aud: process.env.SHOPIFY_API_KEY || DEV_ISSUER,
+      sub: DEV_ISSUER,
+      iat: now,
+      nbf: now,
+      exp: now + DEV_TOKEN_TTL_SECONDS,
+      jti: crypto.randomUUID()
+    };
+
+    return {
+      token: this.sign(payload, this.devSecret()),
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  // Verify a session token; resolves the shop it was issued for
+  // Returns { shop, dev, payload } or throws an INVALID_SESSION_TOKEN error
+  static verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw invalidToken('Malformed session token');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalidToken('Malformed session token');
+    }
+
+    // Never let the token pick its own algorithm (e.g. "none")
+    if (header.alg !== 'HS256') {
+      throw invalidToken(`Unsupported session token algorithm ${header.alg}`);
+    }
+
+    const dev = payload.iss === DEV_ISSUER;
+
+    const secret = dev ? this.devSecret() : process.env.SHOPIFY_API_SECRET;
+    if (!secret) {
+      throw invalidToken('SHOPIFY_API_SECRET is not configured');
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const received = Buffer.from(parts[2], 'base64url');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw invalidToken('Invalid session token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+      throw invalidToken('Session token expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+      throw invalidToken('Session token not yet valid');
+    }
+
+    let shop;
+    try {
+      shop = new URL(payload.dest).hostname;
+    } catch (error) {
+      throw invalidToken('Session token has no shop');
+    }
+
+    if (!this.isValidShopDomain(shop)) {
+      throw invalidToken('Session token has an invalid shop');
+    }
+
+    if (dev && !this.canIssueLocalToken(shop)) {
+      throw invalidToken('Development sessions are disabled');
+    }
+
+    if (!dev) {
+      // App Bridge tokens are issued to this app by the shop's admin
+      if (process.env.SHOPIFY_API_KEY && payload.aud !== process.env.SHOPIFY_API_KEY) {
+        throw invalidToken('Session token was issued for another app');
+      }
+
+      let issuerHost = null;
+      try {
+        issuerHost = new URL(payload.iss).hostname;
+      } catch (error) {
+        // Leave the issuer unmatched
+      }
+
+      if (issuerHost !== shop) {
+        throw invalidToken('Session token issuer does not match its shop');
+      }
+    }
+
+    return { shop, dev, payload };
+  }
+}
+
+SessionTokenService.DEV_ISSUER = DEV_ISSUER;
+
+module.exports = SessionTokenService;
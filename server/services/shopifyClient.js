@@ -0,0 +1,175 @@
+const axios = require('axios');
+
+const DEFAULT_API_VERSION = '2023-10';
+
+// Retries for 429s, 5xx responses and network errors before the request fails
+const MAX_RETRIES = 5;
+
+// Backoff for 5xx/network retries: BASE * 2^attempt, capped, plus jitter
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 16000;
+
+// Wait used on a 429 without a Retry-After header
+const DEFAULT_RETRY_AFTER_SECONDS = 2;
+
+// REST Admin API leaky bucket: requests leak out at 2 per second
+const BUCKET_LEAK_PER_SECOND = 2;
+
+// Start pacing requests once the bucket is this full
+const BUCKET_THROTTLE_RATIO = 0.8;
+
+// Last reported bucket usage per shop, shared by every client for that shop
+const buckets = new Map();
+
+// Shared Shopify Admin REST client: paces requests by the call-limit header,
+// honors Retry-After on 429, retries 5xx with backoff and returns response headers.
+// Errors are thrown (never swallowed), so callers cannot mistake a partial result for a complete one.
+class ShopifyClient {
+  constructor(shop, accessToken, options = {}) {
+    this.shop = shop;
+    this.accessToken = accessToken;
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : MAX_RETRIES;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.baseURL = `${ShopifyClient.adminOrigin(shop)}/admin/api/${this.apiVersion}`;
+  }
+
+  // SHOPIFY_ADMIN_ORIGIN points every shop at one server (e.g. a local fake Shopify in tests)
+  static adminOrigin(shop) {
+    return process.env.SHOPIFY_ADMIN_ORIGIN || `https://${shop}`;
+  }
+
+  // Send a request; resolves with { status, data, headers }
+  async request(method, endpoint, { data = null, params = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+
+      try {
+        const response = await axios({
+          method,
+          url: `${this.baseURL}${endpoint}`,
+          headers: {
+            'X-Shopify-Access-Token': this.accessToken,
+            'Content-Type': 'application/json'
+          },
+          ...(data ? { data } : {}),
+          ...(params ? { params } : {})
+        });
+
+        this.recordCallLimit(response.headers);
+        return { status: response.status, data: response.data, headers: response.headers };
+      } catch (error) {
+        if (error.response) {
+          this.recordCallLimit(error.response.headers);
+        }
+
+        const delay = this.retryDelay(error, attempt, method);
+        if (delay === null) {
+          throw error;
+        }
+
+        console.warn(`⏳ Shopify ${method} ${endpoint} failed (${error.response?.status || error.code || error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  async get(endpoint, params = null) {
+    return (await this.request('GET', endpoint, { params })).data;
+  }
+
+  async post(endpoint, data) {
+    return (await this.request('POST', endpoint, { data })).data;
+  }
+
+  async put(endpoint, data) {
+    return (await this.request('PUT', endpoint, { data })).data;
+  }
+
+  async delete(endpoint) {
+    return (await this.request('DELETE', endpoint)).data;
+  }
+
+  // Fetch every page of a cursor-paginated list endpoint and return the items under `key`
+  // Later pages may only repeat limit and fields alongside page_info
+  async paginate(endpoint, key, params = {}) {
+    const items = [];
+    let pageParams = params;
+
+    for (;;) {
+      const response = await this.request('GET', endpoint, { params: pageParams });
+      items.push(...(response.data[key] || []));
+
+      const pageInfo = ShopifyClient.parseNextPageInfo(response.headers.link);
+      if (!pageInfo) return items;
+
+      pageParams = {
+        page_info: pageInfo,
+        ...(params.limit ? { limit: params.limit } : {}),
+        ...(params.fields ? { fields: params.fields } : {})
+      };
+    }
+  }
+
+  // Milliseconds to wait before retrying, or null when the error is not retryable
+  // A 429 was rejected outright, so any method may retry; 5xx/network errors only retry
+  // methods that are safe to repeat, since a failed POST may still have created something
+  retryDelay(error, attempt, method = 'GET') {
+    if (attempt >= this.maxRetries) return null;
+
+    const status = error.response?.status;
+
+    if (status === 429) {
+      const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+      return Math.ceil((Number.isFinite(retryAfter) ? retryAfter : DEFAULT_RETRY_AFTER_SECONDS) * 1000);
+    }
+
+    // 5xx responses and network errors (no response at all) are transient
+    if ((!error.response || status >= 500) && method.toUpperCase() !== 'POST') {
+      const backoff = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+      return backoff + Math.floor(Math.random() * BACKOFF_BASE_MS);
+    }
+
+    return null;
+  }
+
+  // Remember the shop's bucket usage from X-Shopify-Shop-Api-Call-Limit ("used/limit")
+  recordCallLimit(headers) {
+    const header = headers?.['x-shopify-shop-api-call-limit'];
+    if (!header) return;
+
+    const [used, limit] = header.split('/').map(n => parseInt(n, 10));
+    if (Number.isFinite(used) && Number.isFinite(limit)) {
+      buckets.set(this.shop, { used, limit, at: Date.now() });
+    }
+  }
+
+  // Wait until the bucket has leaked below the throttle ratio
+  async throttle() {
+    const bucket = buckets.get(this.shop);
+    if (!bucket) return;
+
+    const leaked = ((Date.now() - bucket.at) / 1000) * BUCKET_LEAK_PER_SECOND;
+    const used = Math.max(0, bucket.used - leaked);
+    const excess = used - bucket.limit * BUCKET_THROTTLE_RATIO;
+
+    if (excess > 0) {
+      await this.sleep(Math.ceil((excess / BUCKET_LEAK_PER_SECOND) * 1000));
+    }
+  }
+
+  // Parse the next page cursor from a Link header
+  static parseNextPageInfo(linkHeader) {
+    if (!linkHeader) return null;
+
+    const nextLink = linkHeader.split(',').find(link => link.includes('rel="next"'));
+    if (!nextLink) return null;
+
+    const match = nextLink.match(/page_info=([^&>]+)/);
+    return match ? match[1] : null;
+  }
+}
+
+ShopifyClient.DEFAULT_API_VERSION = DEFAULT_API_VERSION;
+
+module.exports = ShopifyClient;
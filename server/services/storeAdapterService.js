@@ -0,0 +1,60 @@
+const { PrismaClient } = require('@prisma/client');
+const LiveShopifyService = require('./liveShopifyService');
+const DemoShopifyService = require('./demoShopifyService');
+const tokenEncryptionService = require('./tokenEncryptionService');
+
+const prisma = new PrismaClient();
+
+// Every route, job and webhook talks to a shop's store through a store adapter, picked per Shop:
+//   LiveShopifyService  - the shop's Shopify Admin API (SHOPIFY_ADMIN_ORIGIN can point it at a fake)
+//   DemoShopifyService  - the built-in demo catalog, no Shopify store behind it
+//
+// Both implement:
+//   getShopInfo()                                        -> { name, email, currency, timezone, ... }
+//   verifyAccess()                                       -> true while the store accepts our credentials
+//   getProducts({ limit })                               -> store products (Shopify REST shape)
+//   syncProducts({ full, onProgress })                   -> { success, mode, syncedCount, deletedCount, errorCount, totalProducts, errors }
+//   refreshProduct(productId)                            -> re-fetch one product into the cache
+//   createProduct(productData) / updateProduct(id, data) -> the store's product
+//   getPrimaryLocationId()
+//   getInventoryLevel(inventoryItemId, locationId)       -> available quantity
+//   updateInventoryLevel(inventoryItemId, locationId, available)
+//   adjustInventoryLevel(inventoryItemId, locationId, adjustment)
+//   registerWebhooks(webhookUrl) / getWebhooks()
+class StoreAdapterService {
+  static isDemoShop(shopDomain) {
+    return shopDomain === DemoShopifyService.DEMO_SHOP_DOMAIN;
+  }
+
+  // Adapter for a Shop record
+  static forShop(shop) {
+    if (this.isDemoShop(shop.shopDomain)) {
+      return new DemoShopifyService(shop.shopDomain);
+    }
+
+    if (!shop.accessToken) {
+      const error = new Error(`Shop not authenticated: ${shop.shopDomain}`);
+      error.code = 'SHOP_NOT_AUTHENTICATED';
+      throw error;
+    }
+
+    return new LiveShopifyService(shop.shopDomain, tokenEncryptionService.decrypt(shop.accessToken));
+  }
+
+  // Adapter for a shop domain; throws SHOP_NOT_FOUND when the shop is not installed
+  static async forShopDomain(shopDomain) {
+    const shop = await prisma.shop.findUnique({
+      where: { shopDomain }
+    });
+
+    if (!shop) {
+      const error = new Error(`Shop not found: ${shopDomain}`);
+      error.code = 'SHOP_NOT_FOUND';
+      throw error;
+    }
+
+    return this.forShop(shop);
+  }
+}
+
+module.exports = StoreAdapterService;
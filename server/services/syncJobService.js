@@ -0,0 +1,251 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const storeAdapterService = require('./storeAdapterService');
+
+const prisma = new PrismaClient();
+
+const QUEUED = 'QUEUED';
+const RUNNING = 'RUNNING';
+const SUCCEEDED = 'SUCCEEDED';
+const FAILED = 'FAILED';
+const ACTIVE_STATUSES = [QUEUED, RUNNING];
+
+// How often the worker looks for queued jobs it was not told about (e.g. after a restart)
+const POLL_INTERVAL_MS = 5000;
+
+// Minimum time between progress writes for a running job
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Times a job is started before a restart-interrupted job is marked failed instead of requeued
+const MAX_ATTEMPTS = 3;
+
+// Per-product errors kept on a job
+const MAX_JOB_ERRORS = 20;
+
+// Times enqueue retries after a concurrent enqueue for the same shop aborts its transaction
+const MAX_ENQUEUE_ATTEMPTS = 3;
+
+// Persistent product sync jobs, run one at a time by an in-process worker
+class SyncJobService {
+  // Queue a product sync for a shop; an already queued or running sync for the shop is returned instead
+  // A full sync requested while an incremental one is queued turns that job into a full one
+  // (upgraded); while an incremental one is running it cannot be queued (fullNotQueued)
+  static async enqueue(shopId, { full = false, trigger = 'manual' } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Check and insert together, so two enqueues (e.g. the scheduler and a manual sync)
+        // cannot both create a job for the shop
+        const { job, created, upgraded = false, fullNotQueued = false } = await prisma.$transaction(async (tx) => {
+          const active = await tx.syncJob.findFirst({
+            where: { shopId, status: { in: ACTIVE_STATUSES } },
+            orderBy: { queuedAt: 'asc' }
+          });
+
+          if (active && full && !active.full) {
+            if (active.status === QUEUED) {
+              return {
+                job: await tx.syncJob.update({ where: { id: active.id }, data: { full: true } }),
+                created: false,
+                upgraded: true
+              };
+            }
+
+            return { job: active, created: false, fullNotQueued: true };
+          }
+
+          if (active) {
+            return { job: active, created: false };
+          }
+
+          return {
+            job: await tx.syncJob.create({
+              data: { shopId, full, trigger, status: QUEUED }
+            }),
+            created: true
+          };
+        }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+        if (created) {
+          console.log(`📥 Queued ${full ? 'full ' : ''}sync job ${job.id} for shop ${shopId} (${trigger})`);
+          this.kick();
+        } else if (upgraded) {
+          console.log(`📥 Sync job ${job.id} for shop ${shopId} upgraded to a full sync (${trigger})`);
+        }
+
+        return { job: this.formatJob(job), created, upgraded, fullNotQueued };
+      } catch (error) {
+        // P2034: Postgres aborted the transaction; the retry sees the other enqueue's job
+        if (error.code === 'P2034' && attempt < MAX_ENQUEUE_ATTEMPTS) continue;
+        throw error;
+      }
+    }
+  }
+
+  static async getJob(shopId, jobId) {
+    const job = await prisma.syncJob.findFirst({
+      where: { id: jobId, shopId }
+    });
+
+    return job ? this.formatJob(job) : null;
+  }
+
+  // triggers: only list jobs started by these triggers (e.g. the scheduler's)
+  static async listJobs(shopId, { limit = 20, triggers = null } = {}) {
+    const jobs = await prisma.syncJob.findMany({
+      where: { shopId, ...(triggers ? { trigger: { in: triggers } } : {}) },
+      orderBy: { queuedAt: 'desc' },
+      take: limit
+    });
+
+    return jobs.map(job => this.formatJob(job));
+  }
+
+  // Start the worker: requeue jobs a previous process left RUNNING, then poll for work
+  static async start() {
+    if (this.timer) return;
+
+    await this.recoverInterrupted();
+
+    this.timer = setInterval(() => this.kick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.kick();
+
+    console.log('🔁 Sync job worker started');
+  }
+
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // A job still RUNNING at startup lost its process; run it again unless it keeps dying
+  static async recoverInterrupted() {
+    const interrupted = await prisma.syncJob.findMany({
+      where: { status: RUNNING }
+    });
+
+    for (const job of interrupted) {
+      const exhausted = job.attempts >= MAX_ATTEMPTS;
+
+      await prisma.syncJob.update({
+        where: { id: job.id },
+        data: exhausted
+          ? { status: FAILED, error: `Interrupted ${job.attempts} times by server restarts`, finishedAt: new Date() }
+          : { status: QUEUED }
+      });
+
+      console.log(`♻️ Sync job ${job.id} was interrupted by a restart, ${exhausted ? 'marked failed' : 'requeued'}`);
+    }
+
+    return interrupted.length;
+  }
+
+  // Drain the queue unless a drain is already in progress
+  static kick() {
+    if (this.draining) return;
+
+    this.draining = true;
+    this.drain()
+      .catch(error => console.error('❌ Sync job worker error:', error))
+      .finally(() => {
+        this.draining = false;
+      });
+  }
+
+  static async drain() {
+    while (await this.runNext()) {
+      // Keep going until no queued job is left
+    }
+  }
+
+  // Claim and run the oldest queued job; returns false when the queue is empty
+  static async runNext() {
+    const next = await prisma.syncJob.findFirst({
+      where: { status: QUEUED },
+      orderBy: { queuedAt: 'asc' }
+    });
+
+    if (!next) return false;
+
+    // Guard on the status so two workers cannot claim the same job
+    const { count } = await prisma.syncJob.updateMany({
+      where: { id: next.id, status: QUEUED },
+      data: { status: RUNNING, startedAt: new Date(), attempts: { increment: 1 } }
+    });
+
+    if (count === 0) return true;
+
+    await this.runJob(next);
+    return true;
+  }
+
+  static async runJob(job) {
+    try {
+      const shop = await prisma.shop.findUnique({
+        where: { id: job.shopId }
+      });
+
+      if (!shop || !shop.accessToken) {
+        throw new Error('Shop not found or not authenticated');
+      }
+
+      console.log(`🔄 Running sync job ${job.id} for ${shop.shopDomain}`);
+
+      let lastWrite = 0;
+      const store = storeAdapterService.forShop(shop);
+      const result = await store.syncProducts({
+        full: job.full,
+        onProgress: async (progress) => {
+          const done = progress.processedCount === progress.totalCount;
+          if (!done && Date.now() - lastWrite < PROGRESS_INTERVAL_MS) return;
+
+          lastWrite = Date.now();
+          await prisma.syncJob.update({
+            where: { id: job.id },
+            data: progress
+          });
+        }
+      });
+
+      await prisma.syncJob.update({
+        where: { id: job.id },
+        data: {
+          status: SUCCEEDED,
+          totalCount: result.totalProducts,
+          processedCount: result.totalProducts,
+          syncedCount: result.syncedCount,
+          deletedCount: result.deletedCount,
+          errorCount: result.errorCount,
+          errors: result.errors.length > 0 ? JSON.stringify(result.errors.slice(0, MAX_JOB_ERRORS)) : null,
+          finishedAt: new Date()
+        }
+      });
+
+      console.log(`✅ Sync job ${job.id} succeeded: ${result.syncedCount} synced, ${result.deletedCount} removed, ${result.errorCount} errors`);
+    } catch (error) {
+      console.error(`❌ Sync job ${job.id} failed:`, error.message);
+
+      await prisma.syncJob.update({
+        where: { id: job.id },
+        data: {
+          status: FAILED,
+          error: error.response?.data ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message,
+          finishedAt: new Date()
+        }
+      });
+    }
+  }
+
+  static formatJob(job) {
+    return {
+      ...job,
+      errors: job.errors ? JSON.parse(job.errors) : [],
+      progress: job.totalCount ? job.processedCount / job.totalCount : (job.status === SUCCEEDED ? 1 : 0)
+    };
+  }
+}
+
+SyncJobService.STATUSES = { QUEUED, RUNNING, SUCCEEDED, FAILED };
+
+module.exports = SyncJobService;
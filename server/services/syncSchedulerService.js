@@ -0,0 +1,163 @@
+const { PrismaClient } = require('@prisma/client');
+const syncJobService = require('./syncJobService');
+
+const prisma = new PrismaClient();
+
+// How often the scheduler checks which shops are due
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Shortest interval a shop may configure, to stay well inside Shopify's API limits
+const MIN_INTERVAL_MINUTES = 15;
+
+// The demo shop has no real store behind it
+const DEMO_SHOP_DOMAIN = 'pack-peddlers-demo.myshopify.com';
+
+// Job triggers used by the scheduler
+const SCHEDULE = 'schedule';
+const NIGHTLY = 'nightly';
+
+// Queues periodic product syncs for every active shop.
+// The sync_jobs history is the scheduler's only state: a shop is due when its last sync
+// (of any trigger) is older than its interval, and its nightly full reconcile is due once
+// the day's fullSyncHour has passed without a full sync being queued since.
+class SyncSchedulerService {
+  static start() {
+    if (this.timer) return;
+
+    if (process.env.SYNC_SCHEDULER_ENABLED === 'false') {
+      console.log('⏸️ Sync scheduler disabled by SYNC_SCHEDULER_ENABLED');
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.timer.unref();
+    this.tick();
+
+    console.log('⏰ Sync scheduler started');
+  }
+
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Queue the syncs that are due; a tick still running when the next fires is skipped
+  static async tick(now = new Date()) {
+    if (this.ticking) return [];
+
+    this.ticking = true;
+    try {
+      const shops = await prisma.shop.findMany({
+        where: { isActive: true, shopDomain: { not: DEMO_SHOP_DOMAIN } }
+      });
+
+      const queued = [];
+      for (const shop of shops) {
+        try {
+          const job = await this.queueDueSync(shop, now);
+          if (job) queued.push(job);
+        } catch (error) {
+          console.error(`❌ Failed to schedule sync for ${shop.shopDomain}:`, error.message);
+        }
+      }
+
+      return queued;
+    } catch (error) {
+      console.error('❌ Sync scheduler error:', error);
+      return [];
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Queue the nightly full reconcile or the periodic sync for a shop when due; returns the new job
+  static async queueDueSync(shop, now = new Date()) {
+    const schedule = await this.getSchedule(shop, now);
+
+    const full = schedule.nextFullSyncAt !== null && schedule.nextFullSyncAt <= now;
+    const due = full || (schedule.nextSyncAt !== null && schedule.nextSyncAt <= now);
+    if (!due) return null;
+
+    const { job, created } = await syncJobService.enqueue(shop.id, { full, trigger: full ? NIGHTLY : SCHEDULE });
+    if (!created) return null;
+
+    console.log(`⏰ Scheduled ${full ? 'full reconcile' : 'sync'} for ${shop.shopDomain}`);
+    return job;
+  }
+
+  // A shop's schedule settings with its next run times (null when turned off)
+  static async getSchedule(shop, now = new Date()) {
+    const lastJob = await prisma.syncJob.findFirst({
+      where: { shopId: shop.id },
+      orderBy: { queuedAt: 'desc' }
+    });
+
+    let nextSyncAt = null;
+    if (shop.syncIntervalMinutes) {
+      nextSyncAt = lastJob
+        ? new Date(lastJob.queuedAt.getTime() + shop.syncIntervalMinutes * 60 * 1000)
+        : now;
+    }
+
+    let nextFullSyncAt = null;
+    if (shop.fullSyncHour !== null && shop.fullSyncHour !== undefined) {
+      const todayAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), shop.fullSyncHour));
+      const dueAt = todayAt <= now ? todayAt : new Date(todayAt.getTime() - 24 * 60 * 60 * 1000);
+
+      const lastFull = await prisma.syncJob.findFirst({
+        where: { shopId: shop.id, full: true, queuedAt: { gte: dueAt } }
+      });
+
+      nextFullSyncAt = lastFull ? new Date(dueAt.getTime() + 24 * 60 * 60 * 1000) : dueAt;
+    }
+
+    return {
+      syncIntervalMinutes: shop.syncIntervalMinutes,
+      fullSyncHour: shop.fullSyncHour,
+      lastSyncAt: lastJob ? lastJob.queuedAt : null,
+      nextSyncAt,
+      nextFullSyncAt
+    };
+  }
+
+  // Validate and save a shop's schedule settings; omitted settings are left unchanged
+  static async updateSchedule(shopId, { syncIntervalMinutes, fullSyncHour }) {
+    const data = {};
+
+    if (syncIntervalMinutes !== undefined) {
+      if (syncIntervalMinutes !== null && (!Number.isInteger(syncIntervalMinutes) || syncIntervalMinutes < MIN_INTERVAL_MINUTES)) {
+        const error = new Error(`syncIntervalMinutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}, or null to turn periodic syncs off`);
+        error.code = 'INVALID_SCHEDULE';
+        throw error;
+      }
+      data.syncIntervalMinutes = syncIntervalMinutes;
+    }
+
+    if (fullSyncHour !== undefined) {
+      if (fullSyncHour !== null && (!Number.isInteger(fullSyncHour) || fullSyncHour < 0 || fullSyncHour > 23)) {
+        const error = new Error('fullSyncHour must be a UTC hour from 0 to 23, or null to turn the nightly reconcile off');
+        error.code = 'INVALID_SCHEDULE';
+        throw error;
+      }
+      data.fullSyncHour = fullSyncHour;
+    }
+
+    const shop = await prisma.shop.update({
+      where: { id: shopId },
+      data
+    });
+
+    return this.getSchedule(shop);
+  }
+
+  // Past scheduled and nightly runs for a shop, newest first
+  static async listRuns(shopId, { limit = 20 } = {}) {
+    return syncJobService.listJobs(shopId, { limit, triggers: [SCHEDULE, NIGHTLY] });
+  }
+}
+
+SyncSchedulerService.TRIGGERS = { SCHEDULE, NIGHTLY };
+
+module.exports = SyncSchedulerService;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { registerSecret } = require('./logRedaction');
+
+// Stored format: enc:v1:<key id>:<wrapped data key>:<iv>:<auth tag>:<ciphertext> (base64url parts)
+const PREFIX = 'enc:v1:';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Parsed TOKEN_ENCRYPTION_KEYS, cached per value of the variable
+let cachedKeys = null;
+
+function keyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+const b64 = buffer => buffer.toString('base64url');
+const unb64 = text => Buffer.from(text, 'base64url');
+
+// Wrapped data key: iv (12 bytes) + auth tag (16 bytes) + encrypted key
+function wrapDataKey(masterKey, dataKey) {
+  const { iv, tag, ciphertext } = seal(masterKey, dataKey);
+  return b64(Buffer.concat([iv, tag, ciphertext]));
+}
+
+function unwrapDataKey(masterKey, wrapped) {
+  const envelope = unb64(wrapped);
+  return open(masterKey, { iv: envelope.subarray(0, 12), tag: envelope.subarray(12, 28), ciphertext: envelope.subarray(28) });
+}
+
+// Envelope encryption for shop access tokens: each token is encrypted (AES-256-GCM) with its own
+// random data key, and the data key is wrapped with a master key from TOKEN_ENCRYPTION_KEYS.
+// The key id is stored alongside, so master keys can be rotated by re-wrapping (see rotate()).
+class TokenEncryptionService {
+  // TOKEN_ENCRYPTION_KEYS="<id>:<base64 32-byte key>,<id>:<key>,..."; the first key encrypts,
+  // every listed key can decrypt
+  static keys() {
+    const raw = process.env.TOKEN_ENCRYPTION_KEYS || '';
+    if (cachedKeys && cachedKeys.raw === raw) return cachedKeys;
+
+    const byId = new Map();
+    for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+      if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+        throw keyError('TOKEN_KEY_INVALID', 'TOKEN_ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+      }
+      if (key.length !== 32) {
+        throw keyError('TOKEN_KEY_INVALID', `Token encryption key ${id} must be 32 bytes (base64 encoded)`);
+      }
+      byId.set(id, key);
+    }
+
+    cachedKeys = { raw, byId, activeId: byId.keys().next().value || null };
+    return cachedKeys;
+  }
+
+  static activeKeyId() {
+    return this.keys().activeId;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // Key id a stored value is wrapped with (null for plaintext)
+  static keyIdOf(value) {
+    return this.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+  }
+
+  static encrypt(token) {
+    const { byId, activeId } = this.keys();
+    if (!activeId) {
+      throw keyError('TOKEN_KEY_MISSING', 'TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    registerSecret(token);
+
+    const dataKey = crypto.randomBytes(32);
+    const sealed = seal(dataKey, Buffer.from(token, 'utf8'));
+
+    return PREFIX + [
+      activeId,
+      wrapDataKey(byId.get(activeId), dataKey),
+      b64(sealed.iv),
+      b64(sealed.tag),
+      b64(sealed.ciphertext)
+    ].join(':');
+  }
+
+  // Decrypt a stored token; values stored before encryption (and demo placeholders) pass through
+  static decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      registerSecret(value);
+      return value;
+    }
+
+    const { keyId, dataKey, parts } = this.unwrap(value);
+    let token;
+    try {
+      token = open(dataKey, { iv: unb64(parts[2]), tag: unb64(parts[3]), ciphertext: unb64(parts[4]) }).toString('utf8');
+    } catch (error) {
+      throw keyError('TOKEN_DECRYPT_FAILED', `Could not decrypt access token (key ${keyId})`);
+    }
+
+    registerSecret(token);
+    return token;
+  }
+
+  // Unwrap a value's data key with the master key it names
+  static unwrap(value) {
+    const parts = value.slice(PREFIX.length).split(':');
+    const [keyId, wrapped] = parts;
+
+    if (parts.length !== 5) {
+      throw keyError('TOKEN_DECRYPT_FAILED', 'Malformed encrypted access token');
+    }
+
+    const masterKey = this.keys().byId.get(keyId);
+    if (!masterKey) {
+      throw keyError('TOKEN_KEY_UNKNOWN', `Access token is encrypted with unknown key ${keyId}`);
+    }
+
+    try {
+      return { keyId, dataKey: unwrapDataKey(masterKey, wrapped), parts };
+    } catch (error) {
+      throw keyError('TOKEN_DECRYPT_FAILED', `Could not unwrap access token data key (key ${keyId})`);
+    }
+  }
+
+  // Bring a stored value onto the active key: plaintext is encrypted, other keys' values are
+  // re-wrapped (the token itself is not re-encrypted). Returns null when nothing needs to change.
+  static rotate(value) {
+    const { byId, activeId } = this.keys();
+    if (!activeId) {
+      throw keyError('TOKEN_KEY_MISSING', 'TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    if (!this.isEncrypted(value)) return this.encrypt(value);
+    if (this.keyIdOf(value) === activeId) return null;
+
+    const { dataKey, parts } = this.unwrap(value);
+    return PREFIX + [activeId, wrapDataKey(byId.get(activeId), dataKey), ...parts.slice(2)].join(':');
+  }
+
+  // A new base64 key for TOKEN_ENCRYPTION_KEYS
+  static generateKey() {
+    return crypto.randomBytes(32).toString('base64');
+  }
+}
+
+module.exports = TokenEncryptionService;
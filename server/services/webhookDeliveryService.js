@@ -0,0 +1,217 @@
+const { PrismaClient } = require('@prisma/client');
+const webhookHandlerService = require('./webhookHandlerService');
+
+const prisma = new PrismaClient();
+
+const QUEUED = 'QUEUED';
+const PROCESSING = 'PROCESSING';
+const PROCESSED = 'PROCESSED';
+const DEAD = 'DEAD';
+
+// How often the worker looks for deliveries that are due (retries, or queued before a restart)
+const POLL_INTERVAL_MS = 5000;
+
+// Processing attempts before a delivery is moved to the dead-letter list
+const MAX_ATTEMPTS = 5;
+
+// Retry backoff: BASE * 2^(attempt - 1), capped
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Fields returned when listing deliveries (payloads can be large)
+const DELIVERY_SELECT = {
+  id: true,
+  webhookId: true,
+  topic: true,
+  shopDomain: true,
+  receivedCount: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  error: true,
+  receivedAt: true,
+  processedAt: true
+};
+
+// Durable webhook queue: deliveries are stored as received, acknowledged right away and
+// processed by an in-process worker with retries. X-Shopify-Webhook-Id makes Shopify's
+// own retries of a delivery no-ops.
+class WebhookDeliveryService {
+  // Store a verified webhook for processing
+  // Returns { delivery, duplicate }: duplicate is true when this webhook ID was already received
+  static async enqueue({ webhookId, topic, shopDomain, payload }) {
+    try {
+      const delivery = await prisma.webhookDelivery.create({
+        data: { webhookId: webhookId || null, topic, shopDomain, payload }
+      });
+
+      this.kick();
+      return { delivery, duplicate: false };
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const delivery = await prisma.webhookDelivery.update({
+      where: { webhookId },
+      data: { receivedCount: { increment: 1 } }
+    });
+
+    return { delivery, duplicate: true };
+  }
+
+  // Recent deliveries for a shop, newest first (status DEAD is the dead-letter list)
+  static async listDeliveries(shopDomain, { topic, status, limit = 50 } = {}) {
+    return prisma.webhookDelivery.findMany({
+      where: {
+        shopDomain,
+        ...(topic ? { topic } : {}),
+        ...(status ? { status } : {})
+      },
+      select: DELIVERY_SELECT,
+      orderBy: { receivedAt: 'desc' },
+      take: limit
+    });
+  }
+
+  // Queue a dead delivery to be processed again from scratch
+  static async replay(shopDomain, id) {
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id, shopDomain },
+      select: DELIVERY_SELECT
+    });
+
+    if (!delivery) {
+      const error = new Error('Webhook delivery not found');
+      error.code = 'DELIVERY_NOT_FOUND';
+      throw error;
+    }
+
+    if (delivery.status !== DEAD) {
+      const error = new Error(`Only dead deliveries can be replayed (this one is ${delivery.status})`);
+      error.code = 'DELIVERY_NOT_DEAD';
+      throw error;
+    }
+
+    const replayed = await prisma.webhookDelivery.update({
+      where: { id },
+      data: { status: QUEUED, attempts: 0, nextAttemptAt: null },
+      select: DELIVERY_SELECT
+    });
+
+    console.log(`🔁 Replaying ${replayed.topic} webhook delivery ${id} for ${shopDomain}`);
+    this.kick();
+
+    return replayed;
+  }
+
+  // Queue every dead delivery for a shop again; returns how many were requeued
+  static async replayDead(shopDomain) {
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { shopDomain, status: DEAD },
+      data: { status: QUEUED, attempts: 0, nextAttemptAt: null }
+    });
+
+    if (count > 0) {
+      console.log(`🔁 Replaying ${count} dead webhook deliveries for ${shopDomain}`);
+      this.kick();
+    }
+
+    return count;
+  }
+
+  // Start the worker: requeue deliveries a previous process left PROCESSING, then poll for work
+  static async start() {
+    if (this.timer) return;
+
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { status: PROCESSING },
+      data: { status: QUEUED }
+    });
+
+    if (count > 0) {
+      console.log(`♻️ Requeued ${count} webhook deliveries interrupted by a restart`);
+    }
+
+    this.timer = setInterval(() => this.kick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.kick();
+
+    console.log('📨 Webhook queue worker started');
+  }
+
+  static stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Drain the queue unless a drain is already in progress
+  static kick() {
+    if (this.draining) return;
+
+    this.draining = true;
+    this.drain()
+      .catch(error => console.error('❌ Webhook queue worker error:', error))
+      .finally(() => {
+        this.draining = false;
+      });
+  }
+
+  static async drain() {
+    while (await this.runNext()) {
+      // Keep going until no due delivery is left
+    }
+  }
+
+  // Claim and process the oldest due delivery; returns false when none is due
+  static async runNext() {
+    const next = await prisma.webhookDelivery.findFirst({
+      where: {
+        status: QUEUED,
+        OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: new Date() } }]
+      },
+      orderBy: { receivedAt: 'asc' }
+    });
+
+    if (!next) return false;
+
+    // Guard on the status so two workers cannot claim the same delivery
+    const { count } = await prisma.webhookDelivery.updateMany({
+      where: { id: next.id, status: QUEUED },
+      data: { status: PROCESSING, attempts: { increment: 1 } }
+    });
+
+    if (count === 0) return true;
+
+    await this.process({ ...next, attempts: next.attempts + 1 });
+    return true;
+  }
+
+  static async process(delivery) {
+    try {
+      await webhookHandlerService.handle(delivery.topic, delivery.shopDomain, JSON.parse(delivery.payload));
+
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: PROCESSED, error: null, nextAttemptAt: null, processedAt: new Date() }
+      });
+    } catch (error) {
+      const dead = error.retryable === false || delivery.attempts >= MAX_ATTEMPTS;
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (delivery.attempts - 1), RETRY_MAX_MS);
+
+      console.error(`❌ ${delivery.topic} webhook delivery ${delivery.id} failed (attempt ${delivery.attempts}/${MAX_ATTEMPTS})${dead ? ', moved to dead letters' : `, retrying in ${delay / 1000}s`}:`, error.message);
+
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: dead
+          ? { status: DEAD, error: error.message, nextAttemptAt: null }
+          : { status: QUEUED, error: error.message, nextAttemptAt: new Date(Date.now() + delay) }
+      });
+    }
+  }
+}
+
+WebhookDeliveryService.STATUSES = { QUEUED, PROCESSING, PROCESSED, DEAD };
+
+module.exports = WebhookDeliveryService;
@@ -0,0 +1,120 @@
+const { PrismaClient } = require('@prisma/client');
+const mysteryBoxService = require('./mysteryBoxService');
+const productCacheService = require('./productCacheService');
+
+const prisma = new PrismaClient();
+
+// Webhook topic -> handler method
+const TOPIC_HANDLERS = {
+  'app/uninstalled': 'appUninstalled',
+  'products/create': 'productCreated',
+  'products/update': 'productUpdated',
+  'products/delete': 'productDeleted',
+  'inventory_levels/update': 'inventoryLevelUpdated',
+  'orders/create': 'orderCreated'
+};
+
+// Side effects of each webhook topic, run by the webhook queue after Shopify was acknowledged
+// Handlers throw to fail a delivery; errors with retryable = false go straight to the dead-letter list
+class WebhookHandlerService {
+  static async handle(topic, shop, payload) {
+    const method = TOPIC_HANDLERS[topic];
+
+    if (!method) {
+      const error = new Error(`No handler for webhook topic ${topic}`);
+      error.code = 'UNKNOWN_TOPIC';
+      error.retryable = false;
+      throw error;
+    }
+
+    return this[method](shop, payload);
+  }
+
+  static async findShop(shop) {
+    const shopData = await prisma.shop.findUnique({
+      where: { shopDomain: shop }
+    });
+
+    if (!shopData) {
+      const error = new Error(`Shop not found: ${shop}`);
+      error.code = 'SHOP_NOT_FOUND';
+      error.retryable = false;
+      throw error;
+    }
+
+    return shopData;
+  }
+
+  static async appUninstalled(shop) {
+    console.log(`App uninstalled for shop: ${shop}`);
+
+    // Remove shop and all associated data
+    await prisma.shop.deleteMany({
+      where: { shopDomain: shop }
+    });
+
+    console.log(`Cleaned up data for uninstalled shop: ${shop}`);
+  }
+
+  static async productCreated(shop, product) {
+    console.log(`Product created in shop ${shop}: ${product.title} (ID: ${product.id})`);
+
+    const shopData = await this.findShop(shop);
+    await productCacheService.upsertProduct(shopData.id, product);
+  }
+
+  static async productUpdated(shop, product) {
+    console.log(`Product updated in shop ${shop}: ${product.title} (ID: ${product.id})`);
+
+    const shopData = await this.findShop(shop);
+    await productCacheService.upsertProduct(shopData.id, product);
+  }
+
+  static async productDeleted(shop, product) {
+    console.log(`Product deleted in shop ${shop}: ID ${product.id}`);
+
+    const shopData = await this.findShop(shop);
+
+    // Remove product (and its variants and images) from cache
+    await productCacheService.deleteProduct(shopData.id, product.id);
+  }
+
+  static async inventoryLevelUpdated(shop, inventoryLevel) {
+    console.log(`Inventory updated in shop ${shop}: item ${inventoryLevel.inventory_item_id} at location ${inventoryLevel.location_id} = ${inventoryLevel.available}`);
+
+    const shopData = await this.findShop(shop);
+
+    // Update only the variant stocked by this inventory item, at this location
+    const { updated } = await productCacheService.applyInventoryLevel(shopData.id, {
+      inventoryItemId: inventoryLevel.inventory_item_id,
+      locationId: inventoryLevel.location_id,
+      available: inventoryLevel.available || 0
+    });
+
+    if (updated === 0) {
+      console.log(`No cached variant for inventory item ${inventoryLevel.inventory_item_id}, ignoring`);
+    }
+  }
+
+  // Generate a box instance for every purchased unit of a mystery box product
+  // Units that already have an instance are skipped, so a retry only generates the failed ones
+  static async orderCreated(shop, order) {
+    console.log(`Order created in shop ${shop}: ${order.name} (ID: ${order.id})`);
+
+    const results = await mysteryBoxService.generateForOrder(shop, order);
+    const generated = results.filter(r => r.instanceId && !r.skipped).length;
+    const failed = results.filter(r => r.error).length;
+
+    if (results.length > 0) {
+      console.log(`Order ${order.name}: ${generated} mystery boxes generated, ${failed} failed`);
+    }
+
+    if (failed > 0) {
+      throw new Error(`${failed} of ${results.length} mystery boxes for order ${order.name} failed to generate`);
+    }
+  }
+}
+
+WebhookHandlerService.TOPICS = Object.keys(TOPIC_HANDLERS);
+
+module.exports = WebhookHandlerService;
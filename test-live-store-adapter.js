@@ -0,0 +1,208 @@
+// Live store adapter tests against the local fake Shopify (scripts/fake-shopify-server.js):
+// the store side of install, sync, publish, fulfillment and webhook registration, all offline
+const assert = require('assert');
+const FakeShopifyServer = require('./scripts/fake-shopify-server');
+const demoProducts = require('./server/services/demoProducts');
+const oauthService = require('./server/services/oauthService');
+const LiveShopifyService = require('./server/services/liveShopifyService');
+const DemoShopifyService = require('./server/services/demoShopifyService');
+const mysteryBoxService = require('./server/services/mysteryBoxService');
+
+const SHOP = 'fake-shop.myshopify.com';
+const [MAIN_LOCATION] = FakeShopifyServer.LOCATIONS;
+
+// Same shape as OAuthNonceService, backed by a Map
+function memoryNonceStore() {
+  const nonces = new Map();
+
+  return {
+    async create(state, shopDomain, expiresAt) {
+      nonces.set(state, { shopDomain, expiresAt });
+    },
+    async consume(state, shopDomain) {
+      const nonce = nonces.get(state);
+      if (!nonce || nonce.shopDomain !== shopDomain || nonce.expiresAt <= new Date()) return false;
+      nonces.delete(state);
+      return true;
+    }
+  };
+}
+
+async function run() {
+  process.env.SHOPIFY_API_KEY = 'test-api-key';
+  process.env.SHOPIFY_API_SECRET = 'test-api-secret';
+  oauthService.nonceStore = memoryNonceStore();
+
+  // Small pages so the five demo products span several
+  const fake = new FakeShopifyServer({ shop: SHOP, pageSize: 2 });
+  process.env.SHOPIFY_ADMIN_ORIGIN = await fake.start();
+
+  let passed = 0;
+  let store;
+
+  const test = async (name, fn) => {
+    fake.requests = [];
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  };
+
+  try {
+    await test('installs through OAuth and uses the issued token', async () => {
+      const installUrl = await oauthService.beginInstall(SHOP, { redirectUri: 'https://app.example.com/api/auth/callback', scopes: 'read_products' });
+      const response = await fetch(installUrl, { redirect: 'manual' });
+      const query = Object.fromEntries(new URL(response.headers.get('location')).searchParams);
+
+      const { shop, accessToken } = await oauthService.completeInstall(query);
+      assert.strictEqual(shop, SHOP);
+
+      store = new LiveShopifyService(shop, accessToken);
+      assert.strictEqual((await store.getShopInfo()).myshopify_domain, SHOP);
+      assert.strictEqual(await store.verifyAccess(), true);
+      assert.strictEqual(await new LiveShopifyService(SHOP, 'shpat_revoked').verifyAccess(), false);
+    });
+
+    await test('fetches the whole catalog across Link-header pages', async () => {
+      fake.editProduct(demoProducts[4].id, { status: 'draft' });
+
+      const products = await store.getAllProducts();
+      assert.deepStrictEqual(products.map(p => p.id.toString()).sort(), demoProducts.map(p => p.id).sort());
+      assert.strictEqual(fake.requests.filter(r => r.path.endsWith('/products.json')).length, 3);
+
+      const ids = await store.getAllProductIds(products);
+      assert.strictEqual(ids.size, demoProducts.length);
+    });
+
+    await test('fetches only products updated since the last sync', async () => {
+      const since = new Date();
+      fake.editProduct(demoProducts[0].id, { title: 'Mystery Pack T-Shirt v2' });
+      fake.editProduct(demoProducts[2].id, { tags: 'electronics,audio' });
+      fake.editProduct(demoProducts[3].id, { tags: 'home,kitchen' });
+
+      const changed = await store.getAllProducts({ updated_at_min: since.toISOString() });
+      assert.deepStrictEqual(changed.map(p => p.id.toString()), [demoProducts[0].id, demoProducts[2].id, demoProducts[3].id]);
+      assert.strictEqual(changed[0].title, 'Mystery Pack T-Shirt v2');
+
+      // Later pages must not repeat the filter, or Shopify rejects them
+      const pageRequests = fake.requests.filter(r => r.query.page_info);
+      assert.ok(pageRequests.length > 0);
+      assert.ok(pageRequests.every(r => !r.query.updated_at_min));
+    });
+
+    await test('detects products deleted in Shopify', async () => {
+      fake.removeProduct(demoProducts[1].id);
+
+      const ids = await store.getAllProductIds();
+      assert.strictEqual(ids.size, demoProducts.length - 1);
+      assert.ok(!ids.has(demoProducts[1].id));
+    });
+
+    await test('loads unit costs and per-location stock for synced variants', async () => {
+      const itemIds = demoProducts.flatMap(p => p.variants.map(v => v.inventory_item_id));
+
+      const costs = await store.getInventoryItemCosts(itemIds);
+      assert.strictEqual(costs.get(demoProducts[0].variants[0].inventory_item_id), 7.5);
+      assert.strictEqual(costs.get(demoProducts[2].variants[0].inventory_item_id), 42);
+
+      const levels = await store.getInventoryLevelsByItem(itemIds);
+      assert.deepStrictEqual(levels.get(demoProducts[3].variants[0].inventory_item_id), [
+        { locationId: MAIN_LOCATION.id.toString(), available: demoProducts[3].variants[0].inventory_quantity }
+      ]);
+    });
+
+    await test('fails instead of returning partial costs or stock', async () => {
+      const itemIds = demoProducts.flatMap(p => p.variants.map(v => v.inventory_item_id));
+
+      // 403: the token lacks read_inventory, which is not retried
+      fake.failNext(403);
+      await assert.rejects(store.getInventoryItemCosts(itemIds), error => error.response?.status === 403);
+
+      fake.failNext(403);
+      await assert.rejects(store.getInventoryLevelsByItem(itemIds), error => error.response?.status === 403);
+    });
+
+    await test('publishes a mystery box product and updates it in place', async () => {
+      const mysteryBox = { name: 'Starter Box', description: 'Three surprises', minValue: 30, maxValue: 60, minItems: 3, maxItems: 3, price: 39.99, isActive: true };
+
+      const created = await store.createProduct(mysteryBoxService.buildShopifyProduct(mysteryBox));
+      assert.strictEqual(created.title, 'Starter Box');
+      assert.strictEqual(created.variants[0].price, '39.99');
+
+      const published = { ...mysteryBox, name: 'Starter Box Deluxe', price: 44.99, shopifyProductId: created.id.toString(), shopifyVariantId: created.variants[0].id.toString() };
+      const updated = await store.updateProduct(published.shopifyProductId, mysteryBoxService.buildShopifyProduct(published));
+
+      assert.strictEqual(updated.id, created.id);
+      assert.strictEqual(fake.getProduct(created.id).title, 'Starter Box Deluxe');
+      assert.strictEqual(fake.getProduct(created.id).variants.length, 1);
+      assert.strictEqual(fake.getProduct(created.id).variants[0].price, '44.99');
+    });
+
+    await test('publishes a mystery box product to the demo store', async () => {
+      const demoStore = new DemoShopifyService();
+      const mysteryBox = { name: 'Demo Box', description: null, minValue: 20, maxValue: 40, minItems: 2, maxItems: 2, price: 24.99, isActive: true };
+
+      // publishMysteryBox stores both IDs, so both must be present
+      const created = await demoStore.createProduct(mysteryBoxService.buildShopifyProduct(mysteryBox));
+      assert.ok(Number.isSafeInteger(created.id));
+      assert.ok(Number.isSafeInteger(created.variants[0].id));
+      assert.strictEqual(created.variants[0].product_id, created.id);
+      assert.strictEqual(created.variants[0].price, '24.99');
+
+      const published = { ...mysteryBox, price: 29.99, shopifyProductId: created.id.toString(), shopifyVariantId: created.variants[0].id.toString() };
+      const updated = await demoStore.updateProduct(published.shopifyProductId, mysteryBoxService.buildShopifyProduct(published));
+
+      assert.strictEqual(updated.id, created.id);
+      assert.strictEqual(updated.variants.length, 1);
+      assert.strictEqual(updated.variants[0].id, created.variants[0].id);
+      assert.strictEqual(updated.variants[0].price, '29.99');
+
+      // Another box gets its own product
+      const other = await demoStore.createProduct(mysteryBoxService.buildShopifyProduct({ ...mysteryBox, name: 'Demo Box 2' }));
+      assert.notStrictEqual(other.id, created.id);
+      assert.notStrictEqual(other.variants[0].id, created.variants[0].id);
+    });
+
+    await test('commits fulfilled units against the primary location', async () => {
+      const variant = demoProducts[3].variants[0];
+      const locationId = await store.getPrimaryLocationId();
+      assert.strictEqual(locationId, MAIN_LOCATION.id);
+
+      // A sale lands in Shopify after the level was last read: the relative commit keeps it
+      const before = await store.getInventoryLevel(variant.inventory_item_id, locationId);
+      await store.updateInventoryLevel(variant.inventory_item_id, locationId, before - 1);
+
+      // What inventoryReservationService.commitForInstance does for each reserved unit
+      await store.adjustInventoryLevel(variant.inventory_item_id, locationId, -2);
+
+      assert.strictEqual(fake.availableAt(variant.inventory_item_id, locationId), variant.inventory_quantity - 3);
+      assert.strictEqual(fake.getProduct(demoProducts[3].id).variants[0].inventory_quantity, variant.inventory_quantity - 3);
+    });
+
+    await test('registers every webhook topic once', async () => {
+      const registered = await store.registerWebhooks('https://app.example.com/api/webhooks');
+      assert.strictEqual(registered.length, 6);
+      assert.ok(registered.some(w => w.address === 'https://app.example.com/api/webhooks/inventory_levels/update'));
+
+      // Already registered topics are rejected by Shopify and skipped
+      assert.strictEqual((await store.registerWebhooks('https://app.example.com/api/webhooks')).length, 0);
+      assert.strictEqual((await store.getWebhooks()).length, 6);
+    });
+
+    await test('waits out a 429 and retries', async () => {
+      fake.failNext(429, { retryAfter: 0 });
+
+      const info = await store.getShopInfo();
+      assert.strictEqual(info.name, 'Fake Shop');
+      assert.strictEqual(fake.requests.length, 2);
+    });
+  } finally {
+    await fake.close();
+  }
+
+  console.log(`\n🎉 ${passed} live store adapter tests passed`);
+}
+
+run().catch((error) => {
+  console.error('❌ Live store adapter test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+// OAuth install handshake tests: a local fake Shopify serves the authorize redirect and the
+// token exchange (via SHOPIFY_ADMIN_ORIGIN), and nonces are kept in memory instead of the database
+const assert = require('assert');
+const crypto = require('crypto');
+const FakeShopifyServer = require('./scripts/fake-shopify-server');
+const oauthService = require('./server/services/oauthService');
+
+const API_KEY = 'test-api-key';
+const API_SECRET = 'test-api-secret';
+const SHOP = 'test-shop.myshopify.com';
+const REDIRECT_URI = 'https://app.example.com/api/auth/callback';
+const SCOPES = 'read_products,write_products';
+
+// Same shape as OAuthNonceService, backed by a Map
+function memoryNonceStore() {
+  const nonces = new Map();
+
+  return {
+    nonces,
+    async create(state, shopDomain, expiresAt) {
+      nonces.set(state, { shopDomain, expiresAt });
+    },
+    async consume(state, shopDomain) {
+      const nonce = nonces.get(state);
+      if (!nonce || nonce.shopDomain !== shopDomain || nonce.expiresAt <= new Date()) {
+        return false;
+      }
+      nonces.delete(state);
+      return true;
+    }
+  };
+}
+
+// Fake Shopify: approves every install and hands out single-use codes
+async function withFakeShopify(run) {
+  const fake = new FakeShopifyServer({ shop: SHOP, apiKey: API_KEY, apiSecret: API_SECRET });
+
+  try {
+    await run(await fake.start(), fake);
+  } finally {
+    await fake.close();
+  }
+}
+
+// Follow the install URL to the fake Shopify and return the callback query it redirects to
+async function authorize(installUrl) {
+  const response = await fetch(installUrl, { redirect: 'manual' });
+  assert.strictEqual(response.status, 302);
+
+  const callback = new URL(response.headers.get('location'));
+  assert.strictEqual(`${callback.origin}${callback.pathname}`, REDIRECT_URI);
+
+  return Object.fromEntries(callback.searchParams);
+}
+
+async function beginInstall() {
+  return oauthService.beginInstall(SHOP, { redirectUri: REDIRECT_URI, scopes: SCOPES });
+}
+
+async function assertRejected(promise, message) {
+  await assert.rejects(promise, (error) => {
+    assert.strictEqual(error.code, 'INVALID_OAUTH_CALLBACK');
+    assert.strictEqual(error.message, message);
+    return true;
+  });
+}
+
+async function run() {
+  process.env.SHOPIFY_API_KEY = API_KEY;
+  process.env.SHOPIFY_API_SECRET = API_SECRET;
+  let passed = 0;
+
+  const test = async (name, fn) => {
+    oauthService.nonceStore = memoryNonceStore();
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  };
+
+  await withFakeShopify(async (origin, fake) => {
+    process.env.SHOPIFY_ADMIN_ORIGIN = origin;
+
+    await test('completes the install handshake and stores no leftover state', async () => {
+      const installUrl = await beginInstall();
+      const params = new URL(installUrl).searchParams;
+      assert.strictEqual(params.get('client_id'), API_KEY);
+      assert.strictEqual(params.get('scope'), SCOPES);
+      assert.strictEqual(oauthService.nonces.nonces.size, 1);
+
+      const query = await authorize(installUrl);
+      const result = await oauthService.completeInstall(query);
+
+      assert.strictEqual(result.shop, SHOP);
+      assert.ok(fake.tokens.has(result.accessToken));
+      assert.strictEqual(oauthService.nonces.nonces.size, 0);
+    });
+
+    await test('asks for per-user grants when requested', async () => {
+      const installUrl = await oauthService.beginInstall(SHOP, { redirectUri: REDIRECT_URI, scopes: SCOPES, perUser: true });
+      assert.strictEqual(new URL(installUrl).searchParams.get('grant_options[]'), 'per-user');
+    });
+
+    await test('rejects a replayed callback', async () => {
+      const query = await authorize(await beginInstall());
+      await oauthService.validateCallback(query);
+      await assertRejected(oauthService.validateCallback(query), 'Invalid or expired state parameter');
+    });
+
+    await test('rejects a tampered callback query', async () => {
+      const query = await authorize(await beginInstall());
+      await assertRejected(oauthService.validateCallback({ ...query, code: 'attacker-code' }), 'Invalid HMAC');
+      await assertRejected(oauthService.validateCallback({ ...query, hmac: '00'.repeat(32) }), 'Invalid HMAC');
+
+      const { hmac, ...unsigned } = query;
+      await assertRejected(oauthService.validateCallback(unsigned), 'Invalid HMAC');
+
+      // The state is only consumed once the HMAC checks out
+      await oauthService.validateCallback(query);
+    });
+
+    await test('rejects a state issued for another shop', async () => {
+      await oauthService.beginInstall('other-shop.myshopify.com', { redirectUri: REDIRECT_URI, scopes: SCOPES });
+      const [otherState] = oauthService.nonces.nonces.keys();
+
+      const query = { code: 'abc', shop: SHOP, state: otherState, timestamp: '1700000000' };
+      query.hmac = oauthService.queryHmac(query, API_SECRET);
+      await assertRejected(oauthService.validateCallback(query), 'Invalid or expired state parameter');
+    });
+
+    await test('rejects a state that was never issued', async () => {
+      const query = { code: 'abc', shop: SHOP, state: 'made-up', timestamp: '1700000000' };
+      query.hmac = oauthService.queryHmac(query, API_SECRET);
+      await assertRejected(oauthService.validateCallback(query), 'Invalid or expired state parameter');
+    });
+
+    await test('rejects an expired state', async () => {
+      const query = await authorize(await beginInstall());
+      oauthService.nonces.nonces.get(query.state).expiresAt = new Date(Date.now() - 1000);
+      await assertRejected(oauthService.validateCallback(query), 'Invalid or expired state parameter');
+    });
+
+    await test('rejects shop hostnames outside myshopify.com', async () => {
+      for (const shop of ['evil.com', 'test-shop.myshopify.com.evil.com', 'https://test-shop.myshopify.com', '-shop.myshopify.com']) {
+        const query = { code: 'abc', shop, state: 'state', timestamp: '1700000000' };
+        query.hmac = oauthService.queryHmac(query, API_SECRET);
+        await assertRejected(oauthService.validateCallback(query), 'Invalid shop domain format');
+      }
+
+      await assertRejected(oauthService.beginInstall('evil.com', { redirectUri: REDIRECT_URI, scopes: SCOPES }), 'Invalid shop domain format');
+      assert.strictEqual(oauthService.nonces.nonces.size, 0);
+    });
+
+    await test('rejects a callback missing parameters', async () => {
+      await assertRejected(oauthService.validateCallback({ shop: SHOP, code: 'abc' }), 'Missing required parameters');
+    });
+
+    await test('fails the token exchange for a code Shopify does not recognise', async () => {
+      await assert.rejects(oauthService.exchangeCodeForToken(SHOP, 'unknown-code'), /Failed to get access token/);
+    });
+
+    await test('signs array parameters the way Shopify does', async () => {
+      const query = { ids: ['2', '1'], shop: SHOP, timestamp: '1700000000' };
+      const message = `${new URLSearchParams({ ids: '["2", "1"]' })}&shop=${SHOP}&timestamp=1700000000`;
+      const expected = crypto.createHmac('sha256', API_SECRET).update(message).digest('hex');
+      assert.strictEqual(oauthService.queryHmac(query, API_SECRET), expected);
+    });
+  });
+
+  console.log(`\n🎉 ${passed} OAuth flow tests passed`);
+}
+
+run().catch((error) => {
+  console.error('❌ OAuth flow test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+// Selection solver tests: bounds, infeasibility reasons, the cost cap and one-variant-per-product,
+// run directly against the pure solver (no database). Selection is random, so properties are
+// checked over many runs.
+const assert = require('assert');
+const selectionSolver = require('./server/services/selectionSolver');
+
+const RUNS = 200;
+
+const product = (id, price, costPerItem = null, extra = {}) => ({
+  shopifyProductId: id.toString(),
+  title: `Product ${id}`,
+  price,
+  costPerItem,
+  ...extra
+});
+
+// Several variants per product, each its own candidate
+const variantsOf = (id, prices, costPerItem = null) => prices.map((price, index) =>
+  product(id, price, costPerItem, { shopifyVariantId: `${id}-${index + 1}` })
+);
+
+const total = (selection, field = 'price') => selection.reduce((sum, p) => sum + p[field], 0);
+
+function assertInfeasible(fn, reason) {
+  assert.throws(fn, (error) => {
+    assert.strictEqual(error.code, 'SELECTION_INFEASIBLE');
+    assert.strictEqual(error.reason, reason);
+    return true;
+  });
+}
+
+function run() {
+  let passed = 0;
+
+  const test = (name, fn) => {
+    fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  };
+
+  const pool = [5, 7.5, 9.99, 12, 15, 18.25, 22, 30].map((price, index) => product(index + 1, price, price / 2));
+
+  test('keeps every selection inside the value and item bounds', () => {
+    const bounds = { minValue: 30, maxValue: 40, minItems: 2, maxItems: 4 };
+
+    for (let i = 0; i < RUNS; i++) {
+      const selection = selectionSolver.solve(pool, bounds);
+      const value = total(selection);
+
+      assert.ok(selection.length >= bounds.minItems && selection.length <= bounds.maxItems);
+      // Compare in cents, as the solver does
+      assert.ok(Math.round(value * 100) >= 3000 && Math.round(value * 100) <= 4000, `value ${value}`);
+    }
+  });
+
+  test('rejects inverted value and item ranges', () => {
+    assertInfeasible(() => selectionSolver.solve(pool, { minValue: 50, maxValue: 40, minItems: 1, maxItems: 3 }), 'INVALID_VALUE_RANGE');
+    assertInfeasible(() => selectionSolver.solve(pool, { minValue: 10, maxValue: 40, minItems: 4, maxItems: 2 }), 'INVALID_ITEM_RANGE');
+  });
+
+  test('explains value bounds no selection can meet', () => {
+    assertInfeasible(() => selectionSolver.solve([], { minValue: 10, maxValue: 20, minItems: 1, maxItems: 2 }), 'EMPTY_POOL');
+
+    // The three cheapest already exceed the maximum
+    assertInfeasible(() => selectionSolver.solve(pool, { minValue: 10, maxValue: 20, minItems: 3, maxItems: 3 }), 'MIN_ITEMS_EXCEED_MAX_VALUE');
+
+    // The two most valuable fall short of the minimum
+    assertInfeasible(() => selectionSolver.solve(pool, { minValue: 60, maxValue: 80, minItems: 1, maxItems: 2 }), 'MIN_VALUE_UNREACHABLE');
+
+    // Sums of 10s skip the whole 15-19 range
+    const tens = [1, 2, 3].map(id => product(id, 10));
+    assertInfeasible(() => selectionSolver.solve(tens, { minValue: 15, maxValue: 19, minItems: 1, maxItems: 3 }), 'NO_EXACT_FIT');
+
+    // Products priced over the maximum are not candidates at all
+    assert.throws(
+      () => selectionSolver.solve([product(1, 50), product(2, 60), product(3, 5)], { minValue: 5, maxValue: 40, minItems: 2, maxItems: 2 }),
+      error => error.reason === 'NOT_ENOUGH_PRODUCTS' && error.details.eligible === 1 && error.details.tooExpensive === 2
+    );
+  });
+
+  test('never selects products with an unknown cost under a cost cap', () => {
+    const mixed = [
+      ...[1, 2, 3, 4].map(id => product(id, 10, 4)),
+      ...[5, 6, 7, 8].map(id => product(id, 10, null))
+    ];
+
+    for (let i = 0; i < RUNS; i++) {
+      const selection = selectionSolver.solve(mixed, { minValue: 20, maxValue: 30, minItems: 2, maxItems: 3, maxCost: 12 });
+      assert.ok(selection.every(p => p.costPerItem !== null), 'selected a product with unknown cost');
+      assert.ok(total(selection, 'costPerItem') <= 12);
+    }
+
+    // Without a cap, unknown costs are fine
+    const uncapped = selectionSolver.solve(mixed.slice(4), { minValue: 20, maxValue: 30, minItems: 2, maxItems: 3 });
+    assert.ok(uncapped.length >= 2);
+  });
+
+  test('reports unknown costs and caps no selection can meet', () => {
+    const unknown = [1, 2, 3].map(id => product(id, 10, null));
+    assert.throws(
+      () => selectionSolver.solve([...unknown, product(4, 10, 3)], { minValue: 20, maxValue: 30, minItems: 2, maxItems: 3, maxCost: 20 }),
+      error => error.reason === 'NOT_ENOUGH_PRODUCTS' && error.details.eligible === 1 && error.details.unknownCost === 3
+    );
+
+    // The two lowest-cost products already cost 8
+    const costly = [1, 2, 3].map(id => product(id, 10, 4));
+    assertInfeasible(() => selectionSolver.solve(costly, { minValue: 20, maxValue: 30, minItems: 2, maxItems: 3, maxCost: 7 }), 'COST_LIMIT_EXCEEDED');
+  });
+
+  test('never puts two variants of one product in a box', () => {
+    const variants = [
+      ...variantsOf(1, [10, 11, 12]),
+      ...variantsOf(2, [10, 11, 12]),
+      ...variantsOf(3, [10, 11, 12])
+    ];
+
+    for (let i = 0; i < RUNS; i++) {
+      const selection = selectionSolver.solve(variants, { minValue: 30, maxValue: 36, minItems: 3, maxItems: 3 });
+      const productIds = selection.map(p => p.shopifyProductId);
+      assert.strictEqual(new Set(productIds).size, 3, `duplicate product in ${productIds}`);
+    }
+
+    // Nine variants, but only three products
+    assertInfeasible(() => selectionSolver.solve(variants, { minValue: 40, maxValue: 48, minItems: 4, maxItems: 4 }), 'NOT_ENOUGH_PRODUCTS');
+  });
+
+  test('selects from every group with its own item count', () => {
+    const groups = [
+      { name: 'Common', products: [1, 2, 3, 4].map(id => product(id, 5)), minCount: 2, maxCount: 2 },
+      { name: 'Chase', products: [5, 6].map(id => product(id, 20)), minCount: 1, maxCount: 1 }
+    ];
+
+    for (let i = 0; i < RUNS; i++) {
+      const selection = selectionSolver.solveGroups(groups, { minValue: 25, maxValue: 35 });
+      assert.strictEqual(selection.filter(p => p.price === 5).length, 2);
+      assert.strictEqual(selection.filter(p => p.price === 20).length, 1);
+    }
+
+    // A group that cannot supply its count names itself
+    assert.throws(
+      () => selectionSolver.solveGroups([{ ...groups[0] }, { ...groups[1], products: [] }], { minValue: 25, maxValue: 35 }),
+      error => error.reason === 'NOT_ENOUGH_PRODUCTS' && error.details.tier === 'Chase'
+    );
+  });
+
+  console.log(`\n🎉 ${passed} selection solver tests passed`);
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('❌ Selection solver test failed:', error);
+  process.exit(1);
+}
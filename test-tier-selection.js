@@ -0,0 +1,137 @@
+// Rarity tier selection tests: tier parsing and assignment, slot rolls, the fallback when a won
+// tier cannot be filled, and cost caps on tiered boxes. Nothing here touches the database.
+const assert = require('assert');
+const mysteryBoxService = require('./server/services/mysteryBoxService');
+
+const RUNS = 100;
+
+const product = (id, price, tags = [], extra = {}) => ({
+  shopifyProductId: id.toString(),
+  title: `Product ${id}`,
+  price,
+  costPerItem: price / 2,
+  tags,
+  productType: null,
+  ...extra
+});
+
+const commons = [1, 2, 3, 4, 5, 6].map(id => product(id, 5, ['common']));
+const chases = [7, 8].map(id => product(id, 20, ['chase']));
+
+const box = (tiers, extra = {}) => ({
+  id: 1,
+  minValue: 10,
+  maxValue: 40,
+  minItems: 3,
+  maxItems: 3,
+  tiers: JSON.stringify(tiers),
+  ...extra
+});
+
+const chaseTiers = (probability) => mysteryBoxService.parseTiers(box([
+  { name: 'Common', tags: ['common'], slots: 2 },
+  { name: 'Chase', tags: ['chase'], slots: 1, probability }
+]));
+
+// Run fn with Math.random pinned, so slot rolls are won (0) or lost (0.99)
+function withRandom(value, fn) {
+  const random = Math.random;
+  Math.random = () => value;
+  try {
+    return fn();
+  } finally {
+    Math.random = random;
+  }
+}
+
+const countByTier = selection => selection.reduce((counts, p) => {
+  counts[p.tier] = (counts[p.tier] || 0) + 1;
+  return counts;
+}, {});
+
+function run() {
+  let passed = 0;
+
+  const test = (name, fn) => {
+    fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  };
+
+  test('fills in tier defaults', () => {
+    const [common, chase] = chaseTiers(undefined);
+
+    assert.strictEqual(common.probability, 1);
+    assert.strictEqual(chase.fallbackTier, 'Common');
+    assert.deepStrictEqual(mysteryBoxService.parseTiers({ tiers: 'not json' }), []);
+    assert.deepStrictEqual(mysteryBoxService.parseTiers({ tiers: null }), []);
+  });
+
+  test('puts each product in one tier, explicit product IDs first', () => {
+    const tiers = mysteryBoxService.parseTiers(box([
+      { name: 'Chase', tags: ['chase'], productIds: [1], slots: 1 },
+      { name: 'Rest', slots: 2 }
+    ]));
+
+    const pools = mysteryBoxService.assignTiers([...commons, ...chases], tiers);
+    assert.deepStrictEqual(pools.get('Chase').map(p => p.shopifyProductId), ['1', '7', '8']);
+    assert.deepStrictEqual(pools.get('Rest').map(p => p.shopifyProductId), ['2', '3', '4', '5', '6']);
+  });
+
+  test('fills won chase slots from the chase tier', () => {
+    const tiers = chaseTiers(0.5);
+
+    const selection = withRandom(0, () => mysteryBoxService.selectFromPool([...commons, ...chases], tiers, box([]), { quiet: true }));
+    assert.deepStrictEqual(countByTier(selection), { Common: 2, Chase: 1 });
+  });
+
+  test('gives a lost roll to the fallback tier', () => {
+    const tiers = chaseTiers(0.5);
+
+    const selection = withRandom(0.99, () => mysteryBoxService.selectFromPool([...commons, ...chases], tiers, box([]), { quiet: true }));
+    assert.deepStrictEqual(countByTier(selection), { Common: 3 });
+  });
+
+  test('falls back when a won tier has an empty pool', () => {
+    const tiers = chaseTiers(0.5);
+
+    // Chase products sold out: the won slot goes to Common instead of failing the box
+    const selection = withRandom(0, () => mysteryBoxService.selectFromPool(commons, tiers, box([]), { quiet: true }));
+    assert.deepStrictEqual(countByTier(selection), { Common: 3 });
+
+    // A guaranteed tier has nothing to fall back from
+    assert.throws(
+      () => mysteryBoxService.selectFromPool(commons, chaseTiers(1), box([]), { quiet: true }),
+      error => error.reason === 'NOT_ENOUGH_PRODUCTS' && error.details.tier === 'Chase'
+    );
+  });
+
+  test('expects fallback items in the fallback tier', () => {
+    assert.deepStrictEqual(mysteryBoxService.expectedTierItems(chaseTiers(0.25)), { Common: 2.75, Chase: 0.25 });
+  });
+
+  test('keeps products with an unknown cost out of cost-capped tiered boxes', () => {
+    const unknownCost = [9, 10, 11].map(id => product(id, 5, ['common'], { costPerItem: null }));
+    const capped = box([], { price: 30, targetMargin: 0.5 });
+    const costLimit = mysteryBoxService.getCostLimit(capped);
+
+    assert.strictEqual(costLimit, 15);
+    assert.strictEqual(mysteryBoxService.getSelectionRejection(unknownCost[0], capped, costLimit), 'UNKNOWN_COST');
+    assert.strictEqual(mysteryBoxService.getSelectionRejection(commons[0], capped, costLimit), null);
+
+    for (let i = 0; i < RUNS; i++) {
+      const selection = mysteryBoxService.selectFromPool([...commons.slice(0, 2), ...unknownCost, ...chases], chaseTiers(1), capped, { quiet: true });
+      assert.ok(selection.every(p => p.costPerItem !== null), 'selected a product with unknown cost');
+      assert.ok(mysteryBoxService.calculateTotalCost(selection) <= costLimit);
+    }
+  });
+
+  console.log(`\n🎉 ${passed} tier selection tests passed`);
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('❌ Tier selection test failed:', error);
+  process.exit(1);
+}
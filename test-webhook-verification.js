@@ -0,0 +1,130 @@
+// Webhook HMAC verification tests: signs fixture payloads locally and posts them
+// through express.json + verifyWebhook, the same wiring the server uses
+const assert = require('assert');
+const express = require('express');
+const { verifyWebhook, captureRawBody, computeHmac, isValidHmac } = require('./server/middleware/verifyWebhook');
+
+const SECRET = 'test-webhook-secret';
+
+// Payloads whose bytes JSON.stringify(JSON.parse(body)) does not reproduce
+const fixtures = {
+  'escaped slashes': '{"id":1,"body_html":"<p>Hi<\\/p>"}',
+  'unicode escapes': '{"id":2,"title":"Caf\\u00e9 Mug"}',
+  'pretty printed': '{\n  "id": 3,\n  "title": "Mug"\n}',
+  'trailing zeros': '{"id":4,"price":10.00}',
+  'non-ASCII bytes': '{"id": 5, "title": "Tasse à café ☕"}'
+};
+
+async function withServer(run) {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/webhook', verifyWebhook, (req, res) => {
+    res.json({ received: true, shop: req.shopifyShop, topic: req.shopifyTopic, id: req.body.id });
+  });
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    await run(`http://127.0.0.1:${server.address().port}/webhook`);
+  } finally {
+    server.close();
+  }
+}
+
+function post(url, body, hmac) {
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': 'products/update',
+      'X-Shopify-Shop-Domain': 'test-shop.myshopify.com',
+      ...(hmac !== null ? { 'X-Shopify-Hmac-Sha256': hmac } : {})
+    },
+    body
+  });
+}
+
+async function run() {
+  process.env.SHOPIFY_WEBHOOK_SECRET = SECRET;
+  let passed = 0;
+
+  const test = async (name, fn) => {
+    await fn();
+    passed++;
+    console.log(`✅ ${name}`);
+  };
+
+  await test('isValidHmac accepts the matching signature and rejects others', async () => {
+    const body = Buffer.from(fixtures['escaped slashes']);
+    assert.strictEqual(isValidHmac(body, computeHmac(body, SECRET), SECRET), true);
+    assert.strictEqual(isValidHmac(body, computeHmac(body, 'other-secret'), SECRET), false);
+    assert.strictEqual(isValidHmac(body, 'short', SECRET), false);
+    assert.strictEqual(isValidHmac(body, undefined, SECRET), false);
+  });
+
+  await test('re-serialized bodies do not match the fixtures', async () => {
+    for (const body of Object.values(fixtures)) {
+      assert.notStrictEqual(JSON.stringify(JSON.parse(body)), body);
+    }
+  });
+
+  await withServer(async (url) => {
+    for (const [name, body] of Object.entries(fixtures)) {
+      await test(`accepts a signed payload with ${name}`, async () => {
+        const response = await post(url, body, computeHmac(Buffer.from(body), SECRET));
+        assert.strictEqual(response.status, 200);
+
+        const data = await response.json();
+        assert.strictEqual(data.received, true);
+        assert.strictEqual(data.shop, 'test-shop.myshopify.com');
+        assert.strictEqual(data.topic, 'products/update');
+      });
+    }
+
+    await test('rejects a payload signed with another secret', async () => {
+      const body = fixtures['unicode escapes'];
+      const response = await post(url, body, computeHmac(Buffer.from(body), 'other-secret'));
+      assert.strictEqual(response.status, 401);
+    });
+
+    await test('rejects a tampered payload', async () => {
+      const signed = fixtures['trailing zeros'];
+      const response = await post(url, signed.replace('10.00', '0.01'), computeHmac(Buffer.from(signed), SECRET));
+      assert.strictEqual(response.status, 401);
+    });
+
+    await test('rejects a signature of the re-serialized body', async () => {
+      const body = fixtures['pretty printed'];
+      const response = await post(url, body, computeHmac(JSON.stringify(JSON.parse(body)), SECRET));
+      assert.strictEqual(response.status, 401);
+    });
+
+    await test('rejects a request without the HMAC header', async () => {
+      const response = await post(url, fixtures['escaped slashes'], null);
+      assert.strictEqual(response.status, 401);
+    });
+
+    await test('fails closed when no secret is configured', async () => {
+      delete process.env.SHOPIFY_WEBHOOK_SECRET;
+      const savedApiSecret = process.env.SHOPIFY_API_SECRET;
+      delete process.env.SHOPIFY_API_SECRET;
+
+      try {
+        const body = fixtures['escaped slashes'];
+        const response = await post(url, body, computeHmac(Buffer.from(body), SECRET));
+        assert.strictEqual(response.status, 500);
+      } finally {
+        process.env.SHOPIFY_WEBHOOK_SECRET = SECRET;
+        if (savedApiSecret !== undefined) process.env.SHOPIFY_API_SECRET = savedApiSecret;
+      }
+    });
+  });
+
+  console.log(`\n🎉 ${passed} webhook verification tests passed`);
+}
+
+run().catch((error) => {
+  console.error('❌ Webhook verification test failed:', error);
+  process.exit(1);
+});